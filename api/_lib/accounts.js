@@ -0,0 +1,99 @@
+import { randomUUID } from 'crypto';
+import { getUserPlan } from './clerk.js';
+import { PLANS, planLimits } from './plans.js';
+import { redisCommand } from './redis.js';
+
+// ── Accounts and teams ───────────────────────────────────────────────────────
+// Credits and quotas belong to an account. Everyone has their own; members of
+// a team draw from the team's pool instead, for as long as the owner is on
+// the team plan. Nobody joins a pool without saying so: the owner invites,
+// the invitee accepts or declines, and members can leave at any time. A
+// member with a paid plan of their own keeps being charged to it.
+// team:{teamId}         string  { id, ownerId, name, members: [userId], memberEmails: { userId: email },
+//                                 invites: { userId: { email, invitedBy, invitedAt } }, createdAt } (JSON)
+// teamof:{userId}       string  teamId, for the owner and every member
+// teaminvites:{userId}  set     teamIds with an invite waiting for the user
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null; } catch { return null; }
+}
+
+export async function getTeam(teamId) {
+  return parseJson(await redisCommand('GET', `team:${teamId}`));
+}
+
+async function saveTeam(team) {
+  await redisCommand('SET', `team:${team.id}`, JSON.stringify(team));
+  return team;
+}
+
+export async function teamForUser(userId) {
+  const teamId = await redisCommand('GET', `teamof:${userId}`);
+  return teamId ? getTeam(teamId) : null;
+}
+
+export async function createTeam(ownerId, name = 'My team') {
+  const team = { id: randomUUID(), ownerId, name, members: [], memberEmails: {}, invites: {}, createdAt: new Date().toISOString() };
+  await saveTeam(team);
+  await redisCommand('SET', `teamof:${ownerId}`, team.id);
+  return team;
+}
+
+// Seats used, the owner and pending invites included.
+export function teamSize(team) {
+  return 1 + team.members.length + Object.keys(team.invites || {}).length;
+}
+
+// Hold a seat for `userId` until they accept or decline.
+export async function inviteTeamMember(team, userId, email, invitedBy = null) {
+  team.invites = { ...team.invites, [userId]: { email, invitedBy, invitedAt: new Date().toISOString() } };
+  await redisCommand('SADD', `teaminvites:${userId}`, team.id);
+  return saveTeam(team);
+}
+
+// Withdrawn by the owner, or declined.
+export async function dropTeamInvite(team, userId) {
+  if (team.invites) delete team.invites[userId];
+  await redisCommand('SREM', `teaminvites:${userId}`, team.id);
+  return saveTeam(team);
+}
+
+export async function acceptTeamInvite(team, userId) {
+  const { email } = team.invites[userId];
+  delete team.invites[userId];
+  if (!team.members.includes(userId)) team.members.push(userId);
+  team.memberEmails = { ...team.memberEmails, [userId]: email };
+  await redisCommand('SET', `teamof:${userId}`, team.id);
+  await redisCommand('SREM', `teaminvites:${userId}`, team.id);
+  return saveTeam(team);
+}
+
+// Teams with an invite waiting for the user.
+export async function pendingInvites(userId) {
+  const ids   = (await redisCommand('SMEMBERS', `teaminvites:${userId}`)) || [];
+  const teams = await Promise.all(ids.map(getTeam));
+  return teams.filter(t => t?.invites?.[userId]);
+}
+
+export async function removeTeamMember(team, userId) {
+  team.members = team.members.filter(m => m !== userId);
+  delete team.memberEmails[userId];
+  await redisCommand('DEL', `teamof:${userId}`);
+  return saveTeam(team);
+}
+
+// The account a user's runs are charged to:
+// { accountId, plan, limits, team } — team is set when drawing from a team pool.
+// `plan` is the user's own plan (from their session or getUserPlan()); members
+// who pay for a plan of their own are charged to it, not the team's pool.
+export async function resolveAccount(userId, plan) {
+  const team = await teamForUser(userId);
+  if (team && (team.ownerId === userId || planLimits(plan).id === PLANS.free.id)) {
+    const ownerPlan = team.ownerId === userId ? plan : await getUserPlan(team.ownerId);
+    if (ownerPlan === PLANS.team.id) {
+      return { accountId: `team:${team.id}`, plan: PLANS.team.id, limits: PLANS.team, team };
+    }
+  }
+  const limits = planLimits(plan);
+  return { accountId: userId, plan: limits.id, limits, team: null };
+}
@@ -0,0 +1,98 @@
+// ── Consultation agent loop ──────────────────────────────────────────────────
+// Runs model turns until `target` domains are submitted, `maxChecks` domain
+// checks are spent or `maxTurns` turns have passed. What the tools do is up
+// to the caller, so the loop runs the same against the live provider or a
+// scripted mock (llm/mock.js):
+//   handlers: { check_domains(domains, state) → [result per domain],
+//               submit_domain(input, state) → result }
+// check_domain { domain } and check_domains { domains } both go through
+// check_domains; each domain costs one check, and a batch is cut to
+// MAX_BATCH and to what the budget has left. A submit_domain result with
+// accepted: true counts towards the target and gets { submitted, remaining }
+// added. Once the budget is spent the loop still runs while checked-available
+// domains are waiting to be submitted. `messages` is extended in place.
+// Returns { turns, checksUsed, submitted, unsubmitted, timings: { modelMs, checkMs, batches } }.
+
+export const MAX_BATCH = 5;
+
+export function nudgeMessage(submitted, target) {
+  return `You've submitted ${submitted} of ${target} required domains. ` +
+    `Please continue and find ${target - submitted} more available domains.`;
+}
+
+export async function runAgent({
+  provider, model, maxTokens, system, tools, messages,
+  target, maxChecks, maxTurns, handlers, onNudge = () => {},
+}) {
+  const state = { turns: 0, checksUsed: 0, submitted: 0, unsubmitted: 0, timings: { modelMs: 0, checkMs: 0, batches: 0 } };
+  const checksLeft = () => state.checksUsed < maxChecks || state.unsubmitted > 0;
+
+  while (state.submitted < target && checksLeft() && state.turns < maxTurns) {
+    state.turns++;
+    const started = Date.now();
+    const turn    = await provider.createTurn({ model, maxTokens, system, tools, messages });
+    state.timings.modelMs += Date.now() - started;
+    if (turn.stopReason === 'refusal') throw new Error('The model declined to continue');
+
+    messages.push({ role: 'assistant', content: turn.content });
+
+    // Stopped without calling a tool (end_turn, or max_tokens) — nudge it to continue
+    if (turn.toolCalls.length === 0) {
+      messages.push({ role: 'user', content: nudgeMessage(state.submitted, target) });
+      onNudge(state);
+      continue;
+    }
+
+    // Calls run in order so the caller's diversity list stays consistent;
+    // the domains within one batch are looked up concurrently by the handler
+    const toolResults = [];
+    for (const call of turn.toolCalls) {
+      let result;
+      if (call.name === 'check_domain' || call.name === 'check_domains') {
+        result = await runChecks(call, state, { maxChecks, handlers });
+      } else if (call.name === 'submit_domain') {
+        result = await handlers.submit_domain(call.input, state);
+        if (result.accepted) {
+          state.submitted++;
+          state.unsubmitted = Math.max(0, state.unsubmitted - 1);
+          Object.assign(result, { submitted: state.submitted, remaining: target - state.submitted });
+        }
+      } else {
+        result = { error: 'unknown tool' };
+      }
+      toolResults.push({ type: 'tool_result', tool_use_id: call.id, content: JSON.stringify(result) });
+    }
+    messages.push({ role: 'user', content: toolResults });
+  }
+
+  return state;
+}
+
+async function runChecks(call, state, { maxChecks, handlers }) {
+  const single = call.name === 'check_domain';
+  const asked  = single
+    ? [call.input.domain]
+    : (Array.isArray(call.input.domains) ? call.input.domains : []);
+  const batch  = asked.slice(0, Math.min(MAX_BATCH, maxChecks - state.checksUsed)).map(d => String(d ?? ''));
+  if (batch.length === 0) {
+    return single
+      ? { available: false, reason: 'check budget spent' }
+      : { error: asked.length ? 'check budget spent' : 'domains must be a non-empty list' };
+  }
+
+  state.checksUsed += batch.length;
+  state.timings.batches++;
+  const started = Date.now();
+  const results = await handlers.check_domains(batch, state);
+  state.timings.checkMs += Date.now() - started;
+  state.unsubmitted += results.filter(r => r?.available === true).length;
+
+  if (single) return results[0];
+  return {
+    results: batch.map((domain, i) => ({ domain, ...results[i] })),
+    ...(asked.length > batch.length && {
+      skipped: asked.slice(batch.length),
+      note:    `only ${batch.length} of ${asked.length} domains were checked (at most ${MAX_BATCH} per call, within the check budget)`,
+    }),
+  };
+}
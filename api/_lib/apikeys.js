@@ -0,0 +1,111 @@
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { redisCommand } from './redis.js';
+
+// ── API keys ─────────────────────────────────────────────────────────────────
+// Pro users mint keys for their own scripts. Only a SHA-256 hash of each key
+// is stored; the key itself is shown once at creation.
+// apikey:{hash}                     string  { id, userId } (JSON) — lookup by presented key
+// apikeys:{userId}                  hash    id → { id, name, prefix, hash, createdAt, lastUsedAt } (JSON)
+// apiusage:{keyId}:{YYYY-MM}        hash    route → requests this month
+// ratelimit:{keyId}:{route}:{min}   string  requests in the current minute
+
+export const MAX_KEYS = 5;
+const KEY_PREFIX      = 'dk_live_';
+const USAGE_TTL       = 3_024_000; // 35 days, like the consultation usage counter
+
+// Requests per minute, per key and route.
+export const RATE_LIMITS = {
+  'suggest':       5,
+  'check-domains': 60,
+  'domain-price':  60,
+  'generate':      60,
+};
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null; } catch { return null; }
+}
+
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function month() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+export async function createApiKey(userId, name) {
+  const key  = KEY_PREFIX + randomBytes(24).toString('base64url');
+  const hash = hashKey(key);
+  const meta = { id: randomUUID(), name, prefix: key.slice(0, KEY_PREFIX.length + 4), hash, createdAt: new Date().toISOString(), lastUsedAt: null };
+  await redisCommand('SET', `apikey:${hash}`, JSON.stringify({ id: meta.id, userId }));
+  await redisCommand('HSET', `apikeys:${userId}`, meta.id, JSON.stringify(meta));
+  return { key, meta };
+}
+
+// Keys without their hashes, each with this month's usage by route.
+export async function listApiKeys(userId) {
+  const flat = (await redisCommand('HGETALL', `apikeys:${userId}`)) || [];
+  const keys = [];
+  for (let i = 1; i < flat.length; i += 2) {
+    const meta = parseJson(flat[i]);
+    if (!meta) continue;
+    const usage = (await redisCommand('HGETALL', `apiusage:${meta.id}:${month()}`)) || [];
+    const { hash, ...rest } = meta;
+    keys.push({ ...rest, usage: Object.fromEntries(usage.reduce((pairs, v, j) => j % 2 ? pairs : [...pairs, [v, parseInt(usage[j + 1], 10)]], [])) });
+  }
+  return keys.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function countApiKeys(userId) {
+  return parseInt(await redisCommand('HLEN', `apikeys:${userId}`) || '0', 10);
+}
+
+export async function revokeApiKey(userId, id) {
+  const meta = parseJson(await redisCommand('HGET', `apikeys:${userId}`, id));
+  if (!meta) return false;
+  await redisCommand('DEL', `apikey:${meta.hash}`);
+  await redisCommand('HDEL', `apikeys:${userId}`, id);
+  return true;
+}
+
+// The key presented with a request: `X-Api-Key: dk_live_...`, or the same
+// value as a Bearer token. Returns null when the request carries none.
+export function presentedApiKey(req) {
+  const header = String(req.headers['x-api-key'] || '').trim();
+  if (header) return header;
+  const auth = String(req.headers.authorization || '');
+  return auth.startsWith(`Bearer ${KEY_PREFIX}`) ? auth.slice(7).trim() : null;
+}
+
+export async function lookupApiKey(key) {
+  if (!key.startsWith(KEY_PREFIX)) return null;
+  const record = parseJson(await redisCommand('GET', `apikey:${hashKey(key)}`));
+  if (!record) return null;
+  const meta = parseJson(await redisCommand('HGET', `apikeys:${record.userId}`, record.id));
+  return meta ? { ...record, name: meta.name } : null;
+}
+
+// Fixed one-minute window per key and route.
+// Returns { allowed, limit, remaining, retryAfter } (seconds).
+export async function rateLimitApiKey(keyId, route) {
+  const limit  = RATE_LIMITS[route] ?? 60;
+  const now    = Date.now();
+  const window = Math.floor(now / 60_000);
+  const key    = `ratelimit:${keyId}:${route}:${window}`;
+  const count  = parseInt(await redisCommand('INCR', key) || '0', 10);
+  if (count === 1) await redisCommand('EXPIRE', key, 60);
+  return {
+    allowed:    count <= limit,
+    limit,
+    remaining:  Math.max(0, limit - count),
+    retryAfter: Math.ceil(((window + 1) * 60_000 - now) / 1000),
+  };
+}
+
+export async function recordApiUsage({ id, userId }, route) {
+  const key = `apiusage:${id}:${month()}`;
+  await redisCommand('HINCRBY', key, route, 1);
+  await redisCommand('EXPIRE', key, USAGE_TTL);
+  const meta = parseJson(await redisCommand('HGET', `apikeys:${userId}`, id));
+  if (meta) await redisCommand('HSET', `apikeys:${userId}`, id, JSON.stringify({ ...meta, lastUsedAt: new Date().toISOString() }));
+}
@@ -0,0 +1,95 @@
+import { createPublicKey, verify } from 'crypto';
+import { lookupApiKey, presentedApiKey, rateLimitApiKey, recordApiUsage } from './apikeys.js';
+import { resolveAccount } from './accounts.js';
+import { getUserPlan } from './clerk.js';
+
+// ── Clerk JWT verification ──────────────────────────────────────────────────
+
+const jwksCache = {};
+
+async function getJwksForIssuer(iss) {
+  const now = Date.now();
+  if (jwksCache[iss] && now - jwksCache[iss].at < 3_600_000) return jwksCache[iss].keys;
+  const res = await fetch(`${iss}/.well-known/jwks.json`);
+  if (!res.ok) throw new Error(`JWKS fetch failed: ${res.status}`);
+  const { keys } = await res.json();
+  jwksCache[iss] = { keys, at: now };
+  return keys;
+}
+
+export async function verifyClerkToken(token) {
+  try {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+    const header  = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    if (payload.exp * 1000 < Date.now()) return null;
+    if (!payload.iss) return null;
+    const keys = await getJwksForIssuer(payload.iss);
+    const jwk  = keys.find(k => k.kid === header.kid);
+    if (!jwk) return null;
+    const publicKey = createPublicKey({ key: jwk, format: 'jwk' });
+    const valid = verify(
+      'RSA-SHA256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      publicKey,
+      Buffer.from(parts[2], 'base64url')
+    );
+    return valid ? payload : null;
+  } catch (err) {
+    console.warn('verifyClerkToken error:', err.message);
+    return null;
+  }
+}
+
+// Resolve the Clerk session from an `Authorization: Bearer <jwt>` header.
+// Returns { userId, plan, payload } or null when missing/invalid.
+export async function authenticate(req) {
+  const authHeader = req.headers.authorization || '';
+  const token      = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  if (!token) return null;
+  const payload = await verifyClerkToken(token);
+  if (!payload) return null;
+  return {
+    userId: payload.sub,
+    plan:   payload.metadata?.plan || payload.publicMetadata?.plan || 'free',
+    payload,
+  };
+}
+
+// ── API keys ─────────────────────────────────────────────────────────────────
+
+// Authenticate a request by API key for `route`, enforcing the key's rate
+// limit and counting usage. Returns null when no key was presented (callers
+// fall back to their usual auth), { error, status, retryAfter? } to reject,
+// or { userId, plan, account, apiKey } on success — `plan` is the user's
+// own plan, `account` the one their usage is charged to (resolveAccount()).
+export async function authenticateApiKey(req, route) {
+  const presented = presentedApiKey(req);
+  if (!presented) return null;
+
+  const apiKey = await lookupApiKey(presented);
+  if (!apiKey) return { error: 'Invalid or revoked API key.', status: 401 };
+
+  const plan    = await getUserPlan(apiKey.userId);
+  const account = await resolveAccount(apiKey.userId, plan);
+  if (!account.limits.apiAccess) return { error: `API access isn't included in the ${account.limits.name} plan.`, status: 403 };
+
+  const limit = await rateLimitApiKey(apiKey.id, route);
+  if (!limit.allowed) {
+    return { error: `Rate limit exceeded: ${limit.limit} requests per minute for this key.`, status: 429, retryAfter: limit.retryAfter };
+  }
+
+  recordApiUsage(apiKey, route).catch(() => {});
+  return { userId: apiKey.userId, plan, account, apiKey };
+}
+
+// Send a { error, status, retryAfter? } rejection from authenticateApiKey()
+// or limitRequest().
+export function rejectRequest(res, result) {
+  if (result.retryAfter) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After'); // not CORS-safelisted
+  }
+  return res.status(result.status).json({ error: result.error });
+}
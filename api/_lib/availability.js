@@ -0,0 +1,258 @@
+import { domainToASCII, domainToUnicode } from 'url';
+import { redisGet, redisSet } from './redis.js';
+import { whoisCheck } from './whois.js';
+import { registrarAvailability } from './registrars/index.js';
+import { backOff, withUpstream } from './ratelimit.js';
+
+// ── Shared domain availability checks ────────────────────────────────────────
+// Used by /api/suggest (one batch per check_domains tool call) and
+// /api/check-domains (batches). Lookup order for every domain:
+//   1. Redis result cache (cross-user, shared by both endpoints)
+//   2. Registrar adapters (Namecheap first; batched, also report premium pricing)
+//   3. RDAP via the IANA bootstrap
+//   4. WHOIS (port 43) when RDAP has no server for the TLD or is inconclusive
+// Results are true (available), false (taken) or null (unknown).
+
+// Second-level registry suffixes accepted as a TLD (name.co.uk). Any other
+// extra label would be a subdomain, which can't be registered on its own.
+export const MULTI_LABEL_TLDS = new Set([
+  'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'org.nz',
+  'co.jp', 'co.kr', 'co.in', 'co.id', 'co.za', 'com.br', 'com.mx', 'com.ar', 'com.sg', 'com.hk',
+  'com.cn', 'com.tr',
+]);
+
+const NAME_LABEL_RE = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const TLD_LABEL_RE  = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// User input → lowercase ASCII; IDNs become punycode ("café.com" →
+// "xn--caf-dma.com"). Returns '' when the input can't be converted.
+export function normaliseDomain(input) {
+  const text = String(input ?? '').trim().toLowerCase().replace(/\.$/, '');
+  return text ? domainToASCII(text) : '';
+}
+
+// ASCII domain → what to show people ("xn--caf-dma.com" → "café.com").
+export function displayDomain(domain) {
+  return domainToUnicode(domain) || domain;
+}
+
+// Input validation shared by every endpoint that accepts domain names, on
+// normaliseDomain() output: one registrable label (punycode allowed) and a
+// TLD — a single label, or a second-level suffix from MULTI_LABEL_TLDS.
+export function isValidDomain(domain) {
+  const labels = String(domain).split('.');
+  if (labels.length < 2 || labels.length > 3 || domain.length > 253) return false;
+  const [name, ...tld] = labels;
+  if (!NAME_LABEL_RE.test(name) || !TLD_LABEL_RE.test(tld[tld.length - 1])) return false;
+  if (name[2] === '-' && name[3] === '-' && !name.startsWith('xn--')) return false; // reserved "ab--" labels
+  return tld.length === 1 || MULTI_LABEL_TLDS.has(tld.join('.'));
+}
+
+// ── Domain availability cache ─────────────────────────────────────────────────
+// Taken   → 6 months, or until just after expiry when RDAP says it lapses sooner
+//           (1 day once the domain is in redemption / pending delete)
+// Premium → 6 months  (premium status is stable)
+// Available → 48 hours (can get registered at any time)
+// Unknown → not cached (retry next time)
+// Taken entries hold the RDAP details as JSON; older entries hold '1'.
+
+const TAKEN_TTL = 15_552_000;   // 6 months
+const DROP_TTL  = 86_400;       // 1 day
+
+export async function getCached(domain) {
+  try {
+    const [taken, avail, premium] = await Promise.all([
+      redisGet(`taken:${domain}`),
+      redisGet(`avail:${domain}`),
+      redisGet(`premium:${domain}`),
+    ]);
+    if (taken   !== null) return { available: false, details: parseCachedDetails(taken) };
+    if (premium !== null) return { available: true, premium: true, price: parseFloat(premium) };
+    if (avail   !== null) return { available: true };
+    return null;
+  } catch { return null; }
+}
+
+function parseCachedDetails(value) {
+  try {
+    const details = JSON.parse(value);
+    return details && typeof details === 'object' ? details : null;
+  } catch { return null; }
+}
+
+function takenTtl(details) {
+  if (!details) return TAKEN_TTL;
+  if (details.dropping) return DROP_TTL;
+  if (!details.expiresAt) return TAKEN_TTL;
+  const untilExpiry = Math.floor((Date.parse(details.expiresAt) - Date.now()) / 1000);
+  if (isNaN(untilExpiry)) return TAKEN_TTL;
+  return Math.min(TAKEN_TTL, Math.max(DROP_TTL, untilExpiry));
+}
+
+export async function setCache(domain, available, premiumPrice = null, details = null) {
+  if (available === false) {
+    await redisSet(`taken:${domain}`,   details ? JSON.stringify(details) : '1', takenTtl(details));
+  } else if (available === true && premiumPrice) {
+    await redisSet(`premium:${domain}`, String(premiumPrice), 15_552_000);
+  } else if (available === true) {
+    await redisSet(`avail:${domain}`,   '1', 172_800);              // 48 hours
+  }
+  // null = inconclusive → don't cache, retry next time
+}
+
+// ── RDAP (module-level bootstrap cache) ──────────────────────────────────────
+
+let _bootstrap   = null;
+let _bootstrapAt = 0;
+
+export async function getBootstrap() {
+  if (_bootstrap && Date.now() - _bootstrapAt < 3_600_000) return _bootstrap;
+  const res    = await fetch('https://data.iana.org/rdap/dns.json', { signal: AbortSignal.timeout(8000) });
+  _bootstrap   = await res.json();
+  _bootstrapAt = Date.now();
+  return _bootstrap;
+}
+
+// RDAP status values that mean the registration is lapsing and the name
+// will return to the pool (RFC 8056 mapping of EPP statuses).
+const DROPPING_STATUSES = ['pending delete', 'redemption period', 'pending restore'];
+
+// Pull the registrar's display name out of an RDAP entity's jCard.
+function entityName(entity) {
+  const props = entity?.vcardArray?.[1] || [];
+  const fn    = props.find(p => p[0] === 'fn');
+  return fn ? String(fn[3]) : null;
+}
+
+// Reduce an RDAP domain object to the fields the UI and cache care about.
+export function parseRdapDomain(body) {
+  const events   = Array.isArray(body?.events) ? body.events : [];
+  const eventAt  = action => events.find(e => e.eventAction === action)?.eventDate || null;
+  const statuses = (Array.isArray(body?.status) ? body.status : []).map(s => String(s).toLowerCase());
+  const entities = Array.isArray(body?.entities) ? body.entities : [];
+  const registrarEntity = entities.find(e => Array.isArray(e.roles) && e.roles.includes('registrar'));
+  const expiresAt = eventAt('expiration');
+
+  return {
+    statuses,
+    registeredAt: eventAt('registration'),
+    expiresAt,
+    registrar:    registrarEntity
+      ? { name: entityName(registrarEntity), ianaId: registrarEntity.publicIds?.find(p => p.type === 'IANA Registrar ID')?.identifier || null }
+      : null,
+    onHold:       statuses.some(s => s.includes('hold')),
+    dropping:     statuses.some(s => DROPPING_STATUSES.includes(s)) ||
+                  (expiresAt !== null && Date.parse(expiresAt) < Date.now()),
+  };
+}
+
+const RDAP_ATTEMPTS = 3;
+
+// Returns { available, details } — available is true/false/null as before,
+// details is the parsed RDAP record for taken domains (null otherwise).
+// A 429 backs the whole RDAP server off (for every instance) and the lookup
+// waits its turn; only a backoff longer than withUpstream() will wait comes
+// back as null, which liveCheck() answers from WHOIS instead.
+export async function rdapCheck(domain) {
+  try {
+    // The bootstrap lists top-level labels — a co.uk domain is served by the uk registry
+    const tld       = domain.slice(domain.lastIndexOf('.') + 1);
+    const bootstrap = await getBootstrap();
+    let   rdapBase  = null;
+    for (const [tlds, urls] of bootstrap.services) {
+      if (tlds.includes(tld) && urls.length > 0) { rdapBase = urls[0].replace(/\/$/, ''); break; }
+    }
+    if (!rdapBase) return { available: null, details: null };
+    const upstream = `rdap:${new URL(rdapBase).host}`;
+    for (let attempt = 1; attempt <= RDAP_ATTEMPTS; attempt++) {
+      const res = await withUpstream(upstream, () => fetch(`${rdapBase}/domain/${domain}`, {
+        headers: { Accept: 'application/rdap+json' },
+        signal:  AbortSignal.timeout(8000),
+      }));
+      if (res.status === 429) {
+        await backOff(upstream, res.headers.get('retry-after'));
+        continue;
+      }
+      if (res.status === 404) return { available: true, details: null };
+      if (res.status === 200) {
+        const body = await res.json().catch(() => null);
+        return { available: false, details: body ? parseRdapDomain(body) : null };
+      }
+      break;
+    }
+    return { available: null, details: null };
+  } catch { return { available: null, details: null }; }
+}
+
+// ── Public entry points ──────────────────────────────────────────────────────
+
+// Uncached registry lookup: RDAP, then WHOIS when RDAP can't answer.
+// Returns { available, details, source }. The watchlist cron uses this
+// directly because the taken: cache would hide a domain that just dropped.
+export async function liveCheck(domain) {
+  const rdap = await rdapCheck(domain);
+  if (rdap.available !== null) return { ...rdap, source: 'rdap' };
+  return { available: await whoisCheck(domain), details: null, source: 'whois' };
+}
+
+// Check a batch of sanitised, lowercase domains.
+// Returns { results, premiumPrices, sources, details } keyed by domain;
+// details only has entries for taken domains RDAP described.
+// concurrency caps parallel RDAP/WHOIS lookups (bulk checks set it).
+export async function checkDomains(domains, { clientIp, concurrency = Infinity } = {}) {
+  const results       = {};
+  const premiumPrices = {};
+  const sources       = {};
+  const details       = {};
+
+  // 1. Cache
+  const cached = await Promise.all(domains.map(getCached));
+  const misses = [];
+  domains.forEach((domain, i) => {
+    const hit = cached[i];
+    if (hit === null) { misses.push(domain); return; }
+    results[domain] = hit.available;
+    if (hit.premium) premiumPrices[domain] = hit.price;
+    if (hit.details) details[domain]       = hit.details;
+    sources[domain] = 'cache';
+  });
+
+  // 2. Registrar APIs
+  const reg       = await registrarAvailability(misses, { clientIp });
+  const remaining = misses.filter(d => !(d in reg.results));
+  for (const domain of misses) {
+    if (!(domain in reg.results)) continue;
+    results[domain] = reg.results[domain];
+    sources[domain] = reg.sources[domain];
+    if (domain in reg.premiumPrices) premiumPrices[domain] = reg.premiumPrices[domain];
+    setCache(domain, reg.results[domain], reg.premiumPrices[domain] ?? null).catch(() => {});
+  }
+
+  // 3. RDAP, then WHOIS for anything RDAP couldn't answer — in parallel
+  const live = [];
+  const step = Math.max(1, Math.min(concurrency, remaining.length));
+  for (let i = 0; i < remaining.length; i += step) {
+    live.push(...await Promise.all(remaining.slice(i, i + step).map(liveCheck)));
+  }
+  remaining.forEach((domain, i) => {
+    results[domain] = live[i].available;
+    sources[domain] = live[i].source;
+    if (live[i].details) details[domain] = live[i].details;
+    setCache(domain, live[i].available, null, live[i].details).catch(() => {});
+  });
+
+  return { results, premiumPrices, sources, details };
+}
+
+// Check a single domain. Returns { available, premium, price, source, details }.
+export async function checkDomain(domain, opts) {
+  const { results, premiumPrices, sources, details } = await checkDomains([domain], opts);
+  const price = premiumPrices[domain] ?? null;
+  return {
+    available: results[domain] ?? null,
+    premium:   price !== null,
+    price,
+    source:    sources[domain],
+    details:   details[domain] ?? null,
+  };
+}
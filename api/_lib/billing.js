@@ -0,0 +1,174 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { redisCommand } from './redis.js';
+
+// ── Stripe billing ───────────────────────────────────────────────────────────
+// Webhook verification, idempotency and the subscription → Clerk plan mapping.
+// stripe:event:{eventId}        string  'processing' | 'done' — each event is applied once
+// stripe:customer:{customerId}  string  Clerk userId, recorded at checkout
+// stripe:sub:{subId}:at         string  `created` of the newest event applied (drops stale ones)
+// billing:grace:{userId}        string  grace deadline (ms) while a payment is failing
+// billing:grace                 zset    userId → grace deadline, for the downgrade cron
+//
+// Clerk public_metadata: { plan, billing: { status, trialEndsAt, currentPeriodEnd,
+//                                           cancelAtPeriodEnd, graceUntil } }
+// Clerk private_metadata: { stripeCustomerId, stripeSubscriptionId }
+
+export const SIGNATURE_TOLERANCE = 300;  // seconds, Stripe's own default
+export const GRACE_DAYS = Number(process.env.BILLING_GRACE_DAYS) || 7;
+
+const EVENT_TTL      = 2_592_000;  // 30 days — Stripe retries for 3
+const PROCESSING_TTL = 300;        // a crashed delivery can be retried after this
+
+// What each subscription status means for the plan. past_due keeps the paid
+// plan until the grace deadline; incomplete (first payment pending) leaves
+// the plan alone.
+const PAID_STATUSES = ['active', 'trialing'];
+const FREE_STATUSES = ['canceled', 'unpaid', 'incomplete_expired', 'paused'];
+
+// Verify a `Stripe-Signature: t=...,v1=...,v1=...` header. Any v1 signature
+// may match (Stripe sends one per active secret while a secret is rolled),
+// compared in constant time; the timestamp must be within `tolerance` seconds.
+export function verifyStripeSignature(payload, sigHeader, secret, { tolerance = SIGNATURE_TOLERANCE, now = Date.now() } = {}) {
+  if (!sigHeader || !secret) return false;
+  const parts      = String(sigHeader).split(',').map(p => p.trim());
+  const timestamp  = parts.find(p => p.startsWith('t='))?.slice(2);
+  const signatures = parts.filter(p => p.startsWith('v1=')).map(p => p.slice(3));
+  if (!/^\d+$/.test(timestamp || '') || signatures.length === 0) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > tolerance) return false;
+
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest();
+  return signatures.some(sig => {
+    const given = Buffer.from(sig, 'hex');
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  });
+}
+
+// Plan for a subscription to `paidPlan` in `status`. Returns null when the
+// plan shouldn't change.
+export function planForStatus(status, paidPlan, graceUntil = null, now = Date.now()) {
+  if (PAID_STATUSES.includes(status)) return paidPlan;
+  if (FREE_STATUSES.includes(status)) return 'free';
+  if (status === 'past_due')          return graceUntil && graceUntil > now ? paidPlan : 'free';
+  return null;
+}
+
+// ── Idempotency ──────────────────────────────────────────────────────────────
+
+// Claim an event before applying it. Returns 'new' (go ahead), 'done'
+// (already applied) or 'processing' (another delivery is applying it).
+// With Redis unreachable every event counts as new.
+export async function claimEvent(eventId) {
+  const key     = `stripe:event:${eventId}`;
+  const claimed = await redisCommand('SET', key, 'processing', 'NX', 'EX', PROCESSING_TTL);
+  if (claimed === 'OK') return 'new';
+  const state = await redisCommand('GET', key);
+  return state === null ? 'new' : state;
+}
+
+export async function finishEvent(eventId) {
+  await redisCommand('SET', `stripe:event:${eventId}`, 'done', 'EX', EVENT_TTL);
+}
+
+// Forget a claim whose handling failed so Stripe's retry applies it.
+export async function releaseEvent(eventId) {
+  await redisCommand('DEL', `stripe:event:${eventId}`);
+}
+
+// Stripe doesn't guarantee delivery order: skip subscription events older
+// than the newest one already applied for that subscription.
+export async function isStaleEvent(subscriptionId, created) {
+  const key    = `stripe:sub:${subscriptionId}:at`;
+  const latest = parseInt(await redisCommand('GET', key) || '0', 10);
+  if (created < latest) return true;
+  await redisCommand('SET', key, created, 'EX', EVENT_TTL);
+  return false;
+}
+
+// ── Customers ────────────────────────────────────────────────────────────────
+
+export async function linkCustomer(customerId, userId) {
+  if (customerId) await redisCommand('SET', `stripe:customer:${customerId}`, userId);
+}
+
+export async function userForCustomer(customerId) {
+  return customerId ? redisCommand('GET', `stripe:customer:${customerId}`) : null;
+}
+
+// ── Grace period ─────────────────────────────────────────────────────────────
+
+// Start the grace period for a failing payment, or keep the one already
+// running. Returns the deadline (ms) — already past once it has run out.
+export async function startGrace(userId, now = Date.now()) {
+  const key = `billing:grace:${userId}`;
+  await redisCommand('SET', key, now + GRACE_DAYS * 86_400_000, 'NX');
+  const deadline = parseInt(await redisCommand('GET', key) || '0', 10) || now + GRACE_DAYS * 86_400_000;
+  if (deadline > now) await redisCommand('ZADD', 'billing:grace', deadline, userId);
+  return deadline;
+}
+
+// Payment recovered or the subscription ended.
+export async function endGrace(userId) {
+  await redisCommand('DEL', `billing:grace:${userId}`);
+  await redisCommand('ZREM', 'billing:grace', userId);
+}
+
+// Users whose grace deadline has passed, as [{ userId, deadline }].
+export async function expiredGraces(now = Date.now()) {
+  const flat = (await redisCommand('ZRANGEBYSCORE', 'billing:grace', '-inf', now, 'WITHSCORES')) || [];
+  const rows = [];
+  for (let i = 0; i < flat.length; i += 2) rows.push({ userId: flat[i], deadline: parseInt(flat[i + 1], 10) });
+  return rows;
+}
+
+// Drop a user from the cron's queue once downgraded. The deadline itself
+// stays so a later past_due event doesn't start a fresh grace period.
+export async function dequeueGrace(userId) {
+  await redisCommand('ZREM', 'billing:grace', userId);
+}
+
+// ── Stripe API ───────────────────────────────────────────────────────────────
+
+export const APP_URL = 'https://domain-ate.com/demo.html';
+
+// POST a form-encoded request to the Stripe API. Throws with Stripe's message.
+export async function stripeRequest(path, params) {
+  const res = await fetch(`https://api.stripe.com/v1/${path}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+      'Content-Type':  'application/x-www-form-urlencoded',
+    },
+    body: params,
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    console.error('Stripe error:', data);
+    throw new Error(data.error?.message || `Stripe ${path} failed`);
+  }
+  return data;
+}
+
+// ── Clerk ────────────────────────────────────────────────────────────────────
+
+// Merge into the user's Clerk metadata (nulls remove keys). Throws on failure
+// so the webhook replies 500 and Stripe retries the event.
+export async function updateBilling(userId, publicMetadata, privateMetadata = null) {
+  const res = await fetch(`https://api.clerk.com/v1/users/${encodeURIComponent(userId)}/metadata`, {
+    method: 'PATCH',
+    headers: {
+      'Authorization': `Bearer ${process.env.CLERK_SECRET_KEY}`,
+      'Content-Type':  'application/json',
+    },
+    body: JSON.stringify({
+      public_metadata: publicMetadata,
+      ...(privateMetadata ? { private_metadata: privateMetadata } : {}),
+    }),
+  });
+  if (!res.ok) throw new Error(`Clerk metadata update failed: ${res.status}`);
+  await redisCommand('DEL', `plan:${userId}`); // getUserPlan() cache
+}
+
+// Unix seconds → ISO string (null-safe).
+export function isoTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
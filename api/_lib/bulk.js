@@ -0,0 +1,127 @@
+import { redisCommand } from './redis.js';
+import { isValidDomain, normaliseDomain } from './availability.js';
+import { normaliseTld } from './constraints.js';
+
+// ── Bulk availability checks ─────────────────────────────────────────────────
+// Input parsing, result rows and CSV export for /api/bulk-check. Progress is
+// streamed through the shared job machinery in jobs.js; finished rows are
+// kept here so results can be downloaded after the stream ends.
+// bulk:{jobId}           string { userId, total, checked, status, createdAt } (JSON)
+// bulk:{jobId}:results   list   result rows (JSON) in check order
+
+export const MAX_BULK_DOMAINS = 1000;
+export const MAX_BULK_TLDS    = 10;
+
+const RESULTS_TTL = 86_400; // downloads stay available for a day
+
+// One CSV line → cells. Handles quoted cells and doubled quotes; enough for
+// spreadsheet exports of name lists.
+function csvCells(line) {
+  const cells = [];
+  let cell = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',' || ch === ';' || ch === '\t') { cells.push(cell); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+// Entries from a CSV or newline list. A header row naming a "domain" or
+// "name" column selects that column; otherwise every non-empty cell counts.
+function parseList(text) {
+  const rows = String(text).split(/\r?\n/).map(csvCells).filter(r => r.some(Boolean));
+  if (rows.length === 0) return [];
+  const header = rows[0].map(c => c.toLowerCase());
+  const col    = ['domain', 'domains', 'name', 'names'].map(h => header.indexOf(h)).find(i => i !== -1);
+  if (col !== undefined) return rows.slice(1).map(r => r[col] || '');
+  return rows.flat();
+}
+
+// Request body → { domains, invalid } or { error }.
+//   list:    CSV or newline-separated text
+//   domains: array of names or full domains
+//   tlds:    TLDs to try for every bare name (full domains are kept as given)
+export function parseBulkInput({ list, domains, tlds } = {}) {
+  const entries = [
+    ...(typeof list === 'string' ? parseList(list) : []),
+    ...(Array.isArray(domains) ? domains.map(String) : []),
+  ].map(e => e.toLowerCase().trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '')).filter(Boolean);
+  if (entries.length === 0) return { error: 'Provide a list (CSV or one per line) or a domains array' };
+
+  const tldList = Array.isArray(tlds) ? [...new Set(tlds.map(normaliseTld))] : [];
+  if (tldList.length > MAX_BULK_TLDS) return { error: `At most ${MAX_BULK_TLDS} TLDs per bulk check` };
+
+  const out     = new Set();
+  const invalid = [];
+  for (const entry of entries) {
+    const candidates = entry.includes('.') ? [entry] : tldList.map(t => entry + t);
+    if (candidates.length === 0) { invalid.push(entry); continue; }
+    for (const domain of candidates) {
+      const ascii = normaliseDomain(domain);
+      if (isValidDomain(ascii)) out.add(ascii);
+      else invalid.push(domain);
+    }
+  }
+
+  if (out.size === 0) return { error: 'No valid domains provided', invalid };
+  if (out.size > MAX_BULK_DOMAINS) {
+    return { error: `Too many domains (${out.size}) — a bulk check takes at most ${MAX_BULK_DOMAINS}` };
+  }
+  return { domains: [...out], invalid };
+}
+
+// checkDomains() output → one row per domain, in input order.
+export function toRows(domains, { results, premiumPrices, sources, details }) {
+  return domains.map(domain => {
+    const available = results[domain] ?? null;
+    const premium   = premiumPrices[domain] ?? null;
+    return {
+      domain,
+      status:       available === null ? 'unknown' : !available ? 'taken' : premium !== null ? 'premium' : 'available',
+      available,
+      premiumPrice: premium,
+      source:       sources[domain] || null,
+      expiresAt:    details[domain]?.expiresAt || null,
+    };
+  });
+}
+
+export async function saveBulkJob(jobId, record) {
+  await redisCommand('SET', `bulk:${jobId}`, JSON.stringify(record), 'EX', RESULTS_TTL);
+}
+
+export async function getBulkJob(jobId) {
+  try {
+    const value = await redisCommand('GET', `bulk:${jobId}`);
+    return value ? JSON.parse(value) : null;
+  } catch { return null; }
+}
+
+export async function saveRows(jobId, rows) {
+  if (rows.length === 0) return;
+  await redisCommand('RPUSH', `bulk:${jobId}:results`, ...rows.map(r => JSON.stringify(r)));
+  await redisCommand('EXPIRE', `bulk:${jobId}:results`, RESULTS_TTL);
+}
+
+export async function getRows(jobId) {
+  const rows = (await redisCommand('LRANGE', `bulk:${jobId}:results`, 0, -1)) || [];
+  return rows.map(r => { try { return JSON.parse(r); } catch { return null; } }).filter(Boolean);
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function rowsToCsv(rows) {
+  const header = ['domain', 'status', 'premium_price_usd', 'source', 'expires_at'];
+  const lines  = rows.map(r => [r.domain, r.status, r.premiumPrice, r.source, r.expiresAt].map(csvCell).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,46 @@
+import { redisGet, redisSet } from './redis.js';
+
+// ── Clerk backend API ────────────────────────────────────────────────────────
+// Server-side user lookups with CLERK_SECRET_KEY. Session JWTs are verified
+// in auth.js; these read the live user record, which session claims can lag.
+
+const PLAN_TTL = 300; // re-read the Clerk plan every 5 minutes
+
+// The full user (public and private metadata), or null.
+export async function getClerkUser(userId) {
+  try {
+    const res = await fetch(`https://api.clerk.com/v1/users/${encodeURIComponent(userId)}`, {
+      headers: { Authorization: `Bearer ${process.env.CLERK_SECRET_KEY}` },
+    });
+    return res.ok ? await res.json() : null;
+  } catch { return null; }
+}
+
+// The user's primary email address, or null.
+export function primaryEmail(user) {
+  const primary = user?.email_addresses?.find(e => e.id === user.primary_email_address_id);
+  return primary?.email_address || null;
+}
+
+// Plan from the Clerk user record, for requests that carry no session claims
+// (API keys, team owners). The Stripe webhook clears the cache on change.
+export async function getUserPlan(userId) {
+  const cached = await redisGet(`plan:${userId}`);
+  if (cached) return cached;
+  const user = await getClerkUser(userId);
+  if (!user) return 'free';
+  const plan = user.public_metadata?.plan || 'free';
+  await redisSet(`plan:${userId}`, plan, PLAN_TTL);
+  return plan;
+}
+
+// For invites by email (shortlists, teams).
+export async function findClerkUserByEmail(email) {
+  const res = await fetch(
+    `https://api.clerk.com/v1/users?email_address=${encodeURIComponent(email)}&limit=1`,
+    { headers: { 'Authorization': `Bearer ${process.env.CLERK_SECRET_KEY}` } }
+  );
+  if (!res.ok) throw new Error(`Clerk user lookup failed: ${res.status}`);
+  const users = await res.json();
+  return Array.isArray(users) && users.length > 0 ? users[0].id : null;
+}
@@ -0,0 +1,164 @@
+import { domainToASCII } from 'url';
+import { planLimits } from './plans.js';
+
+// ── Naming constraints ───────────────────────────────────────────────────────
+// Per-request options for /api/suggest. The same validated object feeds the
+// quality gate, the check_domains tool description and the prompt, so what
+// Claude is told always matches what the gate enforces.
+//
+// Request body: options: {
+//   minLength, maxLength,            name length, excluding TLD (3–20)
+//   tlds:          ['.io', ...]      allowed TLDs (omit for the per-market rules)
+//   requiredTlds:  ['.com', ...]     each must appear in at least one submission
+//   mustInclude:   { text, position: 'anywhere' | 'prefix' | 'suffix' }
+//   bannedWords:   ['cheap', ...]
+//   styleMix:      { brandable, keyword, hybrid }   must sum to count
+//   count                            results per run (capped by the plan's maxResults)
+// }
+
+export const DEFAULT_CONSTRAINTS = Object.freeze({
+  minLength:    5,
+  maxLength:    12,
+  tlds:         null,
+  requiredTlds: [],
+  mustInclude:  null,
+  bannedWords:  [],
+  styleMix:     { brandable: 4, keyword: 3, hybrid: 3 },
+  count:        10,
+});
+
+export const MAX_COUNT = 25; // no plan allows more
+
+const TLD_RE  = /^\.(?:[a-z]{2,}|xn--[a-z0-9-]+)(\.(?:[a-z]{2,}|xn--[a-z0-9-]+))?$/;
+const WORD_RE = /^[a-z]{2,20}$/;
+const STYLES  = ['brandable', 'keyword', 'hybrid'];
+
+function intInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+// '.io', '.co.uk', '.xn--p1ai' — lowercase ASCII, with the leading dot.
+export function isValidTld(tld) {
+  return TLD_RE.test(tld);
+}
+
+// Adds the leading dot; IDN TLDs become punycode ('рф' → '.xn--p1ai').
+export function normaliseTld(tld) {
+  const t     = String(tld).toLowerCase().trim().replace(/^\./, '');
+  const ascii = /^[\x00-\x7f]*$/.test(t) ? t : domainToASCII(`x.${t}`).slice(2);
+  return `.${ascii}`;
+}
+
+function normaliseTlds(list) {
+  return [...new Set(list.map(normaliseTld))];
+}
+
+// Scale the default 4/3/3 mix to `count`, keeping the ratio.
+function defaultStyleMix(count) {
+  const keyword = Math.round(count * 0.3);
+  const hybrid  = Math.round(count * 0.3);
+  return { brandable: count - keyword - hybrid, keyword, hybrid };
+}
+
+// Returns { constraints } on success or { error, status } for a 4xx reply.
+export function parseConstraints(raw, plan = 'free') {
+  if (raw == null) return { constraints: { ...DEFAULT_CONSTRAINTS } };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'options must be an object', status: 400 };
+
+  const c = { ...DEFAULT_CONSTRAINTS };
+
+  if (raw.count !== undefined) {
+    const count  = intInRange(raw.count, 1, MAX_COUNT);
+    const limits = planLimits(plan);
+    if (count === null) return { error: `count must be between 1 and ${MAX_COUNT}`, status: 400 };
+    if (count > limits.maxResults) {
+      return { error: `The ${limits.name} plan allows up to ${limits.maxResults} results per consultation.`, status: 403 };
+    }
+    c.count = count;
+  }
+
+  if (raw.minLength !== undefined || raw.maxLength !== undefined) {
+    const min = raw.minLength === undefined ? c.minLength : intInRange(raw.minLength, 3, 20);
+    const max = raw.maxLength === undefined ? c.maxLength : intInRange(raw.maxLength, 3, 20);
+    if (min === null || max === null) return { error: 'minLength and maxLength must be between 3 and 20', status: 400 };
+    if (min > max)                    return { error: 'minLength cannot exceed maxLength', status: 400 };
+    c.minLength = min;
+    c.maxLength = max;
+  }
+
+  if (raw.tlds !== undefined) {
+    if (!Array.isArray(raw.tlds) || raw.tlds.length === 0 || raw.tlds.length > 10) {
+      return { error: 'tlds must be a list of 1–10 TLDs', status: 400 };
+    }
+    c.tlds = normaliseTlds(raw.tlds);
+    if (!c.tlds.every(t => TLD_RE.test(t))) return { error: 'tlds contains an invalid TLD', status: 400 };
+  }
+
+  if (raw.requiredTlds !== undefined) {
+    if (!Array.isArray(raw.requiredTlds) || raw.requiredTlds.length > 3) {
+      return { error: 'requiredTlds must be a list of at most 3 TLDs', status: 400 };
+    }
+    c.requiredTlds = normaliseTlds(raw.requiredTlds);
+    if (!c.requiredTlds.every(t => TLD_RE.test(t)))   return { error: 'requiredTlds contains an invalid TLD', status: 400 };
+    if (c.tlds && !c.requiredTlds.every(t => c.tlds.includes(t))) {
+      return { error: 'requiredTlds must also be in tlds', status: 400 };
+    }
+    if (c.requiredTlds.length > c.count)              return { error: 'More required TLDs than results', status: 400 };
+  }
+
+  if (raw.mustInclude !== undefined && raw.mustInclude !== null) {
+    const mi       = typeof raw.mustInclude === 'string' ? { text: raw.mustInclude } : raw.mustInclude;
+    const text     = String(mi.text || '').toLowerCase().trim();
+    const position = mi.position || 'anywhere';
+    if (!/^[a-z]{2,10}$/.test(text))                       return { error: 'mustInclude.text must be 2–10 letters', status: 400 };
+    if (!['anywhere', 'prefix', 'suffix'].includes(position)) return { error: 'mustInclude.position must be anywhere, prefix or suffix', status: 400 };
+    if (text.length >= c.maxLength)                        return { error: 'mustInclude.text leaves no room within maxLength', status: 400 };
+    c.mustInclude = { text, position };
+  }
+
+  if (raw.bannedWords !== undefined) {
+    if (!Array.isArray(raw.bannedWords) || raw.bannedWords.length > 20) {
+      return { error: 'bannedWords must be a list of at most 20 words', status: 400 };
+    }
+    c.bannedWords = [...new Set(raw.bannedWords.map(w => String(w).toLowerCase().trim()))];
+    if (!c.bannedWords.every(w => WORD_RE.test(w)))  return { error: 'bannedWords must be 2–20 letters each', status: 400 };
+    if (c.mustInclude && c.bannedWords.some(w => c.mustInclude.text.includes(w))) {
+      return { error: 'mustInclude.text contains a banned word', status: 400 };
+    }
+  }
+
+  if (raw.styleMix !== undefined) {
+    const mix = {};
+    for (const style of STYLES) {
+      const n = intInRange(raw.styleMix?.[style] ?? 0, 0, MAX_COUNT);
+      if (n === null) return { error: `styleMix.${style} must be a whole number`, status: 400 };
+      mix[style] = n;
+    }
+    if (mix.brandable + mix.keyword + mix.hybrid !== c.count) {
+      return { error: `styleMix must add up to count (${c.count})`, status: 400 };
+    }
+    c.styleMix = mix;
+  } else if (c.count !== DEFAULT_CONSTRAINTS.count) {
+    c.styleMix = defaultStyleMix(c.count);
+  }
+
+  return { constraints: c };
+}
+
+// Human-readable summary of the name rules, shared by the tool description
+// and the prompt.
+export function describeNameRules(c) {
+  const rules = [
+    `${c.minLength}–${c.maxLength} characters (name only, excluding TLD)`,
+    'no digits or hyphens',
+  ];
+  if (c.mustInclude) {
+    rules.push(c.mustInclude.position === 'prefix' ? `must start with "${c.mustInclude.text}"`
+      : c.mustInclude.position === 'suffix'         ? `must end with "${c.mustInclude.text}"`
+      : `must contain "${c.mustInclude.text}"`);
+  }
+  if (c.bannedWords.length) rules.push(`must not contain: ${c.bannedWords.join(', ')}`);
+  if (c.tlds)               rules.push(`TLD must be one of: ${c.tlds.join(', ')}`);
+  return rules;
+}
@@ -0,0 +1,54 @@
+import { randomUUID } from 'crypto';
+import { redisCommand } from './redis.js';
+
+// ── Saved consultations ──────────────────────────────────────────────────────
+// consults:{userId}          sorted set  consultation ids scored by createdAt (ms)
+// consult:{userId}:{id}      string      full consultation record (JSON)
+
+const MAX_SAVED = 100; // oldest consultations beyond this are dropped
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null; } catch { return null; }
+}
+
+export function newConsultationId() {
+  return randomUUID();
+}
+
+// record: { id, description, answers, domains, createdAt, ... }
+export async function saveConsultation(userId, record) {
+  const now   = new Date().toISOString();
+  const saved = { ...record, createdAt: record.createdAt || now, updatedAt: now };
+  await redisCommand('SET',  `consult:${userId}:${saved.id}`, JSON.stringify(saved));
+  await redisCommand('ZADD', `consults:${userId}`, Date.parse(saved.createdAt), saved.id);
+
+  // Trim history to the newest MAX_SAVED
+  const overflow = (await redisCommand('ZRANGE', `consults:${userId}`, 0, -(MAX_SAVED + 1))) || [];
+  for (const id of overflow) await deleteConsultation(userId, id);
+  return saved;
+}
+
+export async function getConsultation(userId, id) {
+  return parseJson(await redisCommand('GET', `consult:${userId}:${id}`));
+}
+
+// Newest first, without the full domain list (just a count and a preview).
+export async function listConsultations(userId, limit = 50) {
+  const ids     = (await redisCommand('ZRANGE', `consults:${userId}`, 0, limit - 1, 'REV')) || [];
+  const records = await Promise.all(ids.map(id => getConsultation(userId, id)));
+  return records.filter(Boolean).map(r => ({
+    id:          r.id,
+    description: r.description,
+    answers:     r.answers,
+    count:       r.domains?.length || 0,
+    preview:     (r.domains || []).slice(0, 3).map(d => d.name + d.tld),
+    createdAt:   r.createdAt,
+    updatedAt:   r.updatedAt,
+  }));
+}
+
+export async function deleteConsultation(userId, id) {
+  const removed = await redisCommand('DEL', `consult:${userId}:${id}`);
+  await redisCommand('ZREM', `consults:${userId}`, id);
+  return removed === 1 || removed === '1';
+}
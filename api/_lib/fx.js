@@ -0,0 +1,121 @@
+import { redisCommand } from './redis.js';
+
+// ── Currency conversion ──────────────────────────────────────────────────────
+// USD-based exchange rates from a configurable provider (FX_PROVIDER), cached
+// in Redis. If the provider is down, the last rates we ever fetched are used
+// and flagged stale; with none at all, prices stay in USD.
+// fx:rates      string  { provider, rates, updatedAt } (JSON), refreshed every 6 hours
+// fx:lastknown  string  same shape, never expires
+
+const FRESH_TTL = 21_600;
+const MEMO_MS   = 600_000;
+
+const PROVIDERS = {
+  'exchangerate-api': {
+    url:   () => 'https://api.exchangerate-api.com/v4/latest/USD',
+    rates: body => body?.rates,
+  },
+  frankfurter: {
+    url:   () => 'https://api.frankfurter.app/latest?from=USD',
+    rates: body => body?.rates && { ...body.rates, USD: 1 },
+  },
+  openexchangerates: {
+    url:   () => `https://openexchangerates.org/api/latest.json?app_id=${encodeURIComponent(process.env.FX_API_KEY || '')}`,
+    rates: body => body?.rates,
+  },
+};
+
+// Region → currency, for guessing from Accept-Language or the edge's geo header.
+const COUNTRY_CURRENCY = {
+  US: 'USD', CA: 'CAD', AU: 'AUD', NZ: 'NZD',
+  GB: 'GBP',
+  DE: 'EUR', FR: 'EUR', IT: 'EUR', ES: 'EUR', NL: 'EUR', BE: 'EUR',
+  AT: 'EUR', PT: 'EUR', IE: 'EUR', FI: 'EUR', GR: 'EUR', LU: 'EUR',
+  JP: 'JPY', CN: 'CNY', IN: 'INR', SG: 'SGD', HK: 'HKD',
+  KR: 'KRW', TH: 'THB', MY: 'MYR', ID: 'IDR', PH: 'PHP',
+  CH: 'CHF', SE: 'SEK', NO: 'NOK', DK: 'DKK', PL: 'PLN',
+  CZ: 'CZK', HU: 'HUF', RO: 'RON',
+  MX: 'MXN', BR: 'BRL', AR: 'ARS', CL: 'CLP',
+  ZA: 'ZAR', NG: 'NGN', KE: 'KES',
+  SA: 'SAR', AE: 'AED', IL: 'ILS', TR: 'TRY',
+};
+
+let _memo   = null;
+let _memoAt = 0;
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null; } catch { return null; }
+}
+
+async function fetchRates() {
+  const name     = process.env.FX_PROVIDER || 'exchangerate-api';
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown FX_PROVIDER "${name}"`);
+  const res = await fetch(provider.url(), { signal: AbortSignal.timeout(6000) });
+  if (!res.ok) throw new Error(`${name}: ${res.status}`);
+  const rates = provider.rates(await res.json().catch(() => null));
+  if (!rates || typeof rates !== 'object') throw new Error(`${name}: no rates in response`);
+  return { provider: name, rates, updatedAt: new Date().toISOString() };
+}
+
+// Returns { provider, rates, updatedAt, stale }.
+export async function getRates() {
+  if (_memo && Date.now() - _memoAt < MEMO_MS) return _memo;
+
+  let fx = parseJson(await redisCommand('GET', 'fx:rates'));
+  if (fx) {
+    fx.stale = false;
+  } else {
+    try {
+      fx = await fetchRates();
+      await redisCommand('SET', 'fx:rates', JSON.stringify(fx), 'EX', FRESH_TTL);
+      await redisCommand('SET', 'fx:lastknown', JSON.stringify(fx));
+      fx.stale = false;
+    } catch (err) {
+      console.warn('FX refresh failed, using last-known rates:', err.message);
+      fx = parseJson(await redisCommand('GET', 'fx:lastknown'));
+      if (!fx) return { provider: null, rates: { USD: 1 }, updatedAt: null, stale: true };
+      fx.stale = true;
+    }
+  }
+
+  _memo   = fx;
+  _memoAt = Date.now();
+  return fx;
+}
+
+// Preferred locale and currency for a request: explicit ?currency= / body
+// currency first, then the Accept-Language region, then the edge geo header.
+export function requestCurrency(req, requested) {
+  const locale  = String(req.headers['accept-language'] || 'en-US').split(',')[0].split(';')[0].trim() || 'en-US';
+  const region  = locale.includes('-') ? locale.split('-').pop().toUpperCase() : '';
+  const country = String(req.headers['x-vercel-ip-country'] || '').toUpperCase();
+  const wanted  = typeof requested === 'string' && /^[A-Za-z]{3}$/.test(requested) ? requested.toUpperCase() : null;
+  return {
+    locale,
+    currency: wanted || COUNTRY_CURRENCY[region] || COUNTRY_CURRENCY[country] || 'USD',
+  };
+}
+
+// Formats a USD amount in `currency` (falls back to USD if we have no rate).
+// compact: narrow symbol, no decimals — the card style.
+export function makeFormatter(fx, { currency, locale }, { compact = false } = {}) {
+  const rate = currency === 'USD' ? 1 : fx.rates[currency];
+  const code = rate ? currency : 'USD';
+  let nf;
+  try {
+    nf = new Intl.NumberFormat(locale, {
+      style: 'currency', currency: code,
+      ...(compact ? { currencyDisplay: 'narrowSymbol', maximumFractionDigits: 0, minimumFractionDigits: 0 }
+                  : { maximumFractionDigits: 2, minimumFractionDigits: 0 }),
+    });
+  } catch {
+    nf = new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+  }
+  return {
+    currency: code,
+    rate:     rate || 1,
+    convert:  usd => Math.round(usd * (rate || 1) * 100) / 100,
+    format:   usd => nf.format(usd * (rate || 1)),
+  };
+}
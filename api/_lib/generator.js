@@ -0,0 +1,164 @@
+import { DEFAULT_CONSTRAINTS } from './constraints.js';
+import { qualityGate } from './quality.js';
+import { scoreDomain } from './scoring.js';
+import { SYNONYMS } from './synonyms.js';
+import { WORDS } from './wordlist.js';
+
+// ── Local name generator ─────────────────────────────────────────────────────
+// Deterministic candidates from a business description — no model, no
+// network, so the same description always gives the same names. Keywords
+// are widened with the bundled synonyms, then combined by:
+//   blend        overlap two words on shared letters (brunch ← breakfast + lunch)
+//   portmanteau  first syllable of one word + last syllable of another
+//   suffix       -ly, -ify, -ova, -era, -io
+//   truncate     a long word clipped to its start, with a vowel ending
+//   rhyme        a word plus a rhyming dictionary word (snapmap)
+//   compound     a keyword plus a related word
+// Every returned name passes qualityGate() for the given constraints,
+// including its diversity check, so no two are near-duplicates.
+// Availability is not checked.
+
+const STOPWORDS = new Set(`
+about above after again also among and any app apps are around based been before being best
+between both business businesses busy but can company could customer customers does doing each
+easy every fast for from get gets give good great has have help helps into its just like looking
+make makes modern more most much need needs new not off offering offers online only other our
+out over own people platform provide provides quick same sell selling sells service services
+should simple small some such than that the their them then there these they this those through
+too under users using very want was way website were what when where which while who will with
+without would you your
+`.trim().split(/\s+/));
+
+const SUFFIXES     = ['ly', 'ify', 'ova', 'era', 'io'];
+const DEFAULT_TLDS = ['.com', '.io', '.co', '.app', '.ai'];
+const MAX_ROOTS    = 16;
+const VOWEL        = /[aeiouy]/;
+
+// Lowercase content words from the description, in order, without
+// duplicates or simple plurals.
+export function extractKeywords(description, limit = 8) {
+  const words = String(description).toLowerCase().match(/[a-z]+/g) || [];
+  const keywords = [];
+  for (let w of words) {
+    if ((w.length < 3 && !SYNONYMS.has(w)) || w.length > 12 || STOPWORDS.has(w)) continue; // 'ai' is a concept
+    if (w.endsWith('s') && !w.endsWith('ss') && (WORDS.has(w.slice(0, -1)) || SYNONYMS.has(w.slice(0, -1)))) w = w.slice(0, -1);
+    if (!keywords.includes(w)) keywords.push(w);
+    if (keywords.length === limit) break;
+  }
+  return keywords;
+}
+
+function firstSyllable(word) {
+  return word.match(/^[^aeiouy]*[aeiouy]+[^aeiouy]?/)?.[0] || word;
+}
+
+function lastSyllable(word) {
+  return word.match(/[^aeiouy]?[aeiouy]+[^aeiouy]*$/)?.[0] || word;
+}
+
+function blend(a, b) {
+  for (let k = Math.min(a.length, b.length) - 1; k >= 2; k--) {
+    if (a.endsWith(b.slice(0, k))) return a + b.slice(k);
+  }
+  return null;
+}
+
+function portmanteau(a, b) {
+  const head = firstSyllable(a);
+  const tail = lastSyllable(b);
+  return head.length < a.length && tail.length < b.length ? head + tail : null;
+}
+
+function suffixed(word) {
+  const stem = word.replace(/[aeiouy]+$/, '');
+  return SUFFIXES.map(s => (s === 'ly' ? word : stem) + s);
+}
+
+function truncated(word) {
+  if (word.length < 6) return [];
+  let clip = firstSyllable(word);
+  if (clip.length < 4) clip = word.slice(0, 4);
+  clip = clip.replace(/[aeiouy]+$/, '');
+  return [clip + 'o', clip + 'a'];
+}
+
+// Dictionary words sharing the last vowel group and what follows it.
+function rhymes(word) {
+  const rime = word.match(/[aeiou]+[^aeiouy]*$/)?.[0];
+  if (!rime || rime.length < 2) return [];
+  const found = [];
+  for (const w of WORDS) {
+    if (w !== word && w.length <= 6 && w.endsWith(rime) && !word.endsWith(w) && !w.endsWith(word)) found.push(word + w);
+    if (found.length === 2) break;
+  }
+  return found;
+}
+
+function candidates(keywords) {
+  const related = keywords.flatMap(k => SYNONYMS.get(k) || []);
+  const roots   = [...new Set([...keywords, ...related])].slice(0, MAX_ROOTS);
+  const pairs   = roots.flatMap((a, i) => roots.filter((b, j) => i !== j).map(b => [a, b]));
+  const out     = [];
+  const add     = (name, technique, from, style = 'brandable') => {
+    if (name && !roots.includes(name)) out.push({ name, technique, from, style });
+  };
+
+  for (const [a, b] of pairs) {
+    add(blend(a, b), 'blend', [a, b]);
+    add(portmanteau(a, b), 'portmanteau', [a, b]);
+  }
+  for (const w of roots) {
+    for (const s of suffixed(w))  add(s, 'suffix', [w]);
+    for (const t of truncated(w)) add(t, 'truncate', [w]);
+    for (const r of rhymes(w))    add(r, 'rhyme', [w]);
+  }
+  for (const k of keywords) {
+    for (const r of SYNONYMS.get(k) || []) {
+      add(k + r, 'compound', [k, r], 'hybrid');
+      add(r + k, 'compound', [r, k], 'hybrid');
+    }
+  }
+  return out;
+}
+
+// Up to `count` names: [{ domain, name, tld, style, technique, from: [words], score }].
+// Best-scoring first within each technique, techniques taken in turn so the
+// list stays varied. `seenNames` (e.g. an earlier round's) are never repeated.
+export function generateNames(description, { constraints = DEFAULT_CONSTRAINTS, count = 20, seenNames = [] } = {}) {
+  const tlds    = constraints.tlds || DEFAULT_TLDS;
+  const groups  = new Map();
+  const unique  = new Set();
+
+  for (const c of candidates(extractKeywords(description))) {
+    if (unique.has(c.name) || !VOWEL.test(c.name)) continue;
+    unique.add(c.name);
+    if (!groups.has(c.technique)) groups.set(c.technique, []);
+    groups.get(c.technique).push(c);
+  }
+
+  // Rank each technique's names by their score on the first allowed TLD
+  for (const list of groups.values()) {
+    for (const c of list) c.score = scoreDomain({ name: c.name, tld: tlds[0], style: c.style }).score;
+    list.sort((x, y) => y.score - x.score || x.name.localeCompare(y.name));
+  }
+
+  const seen   = [...seenNames];
+  const names  = [];
+  const queues = [...groups.values()];
+  while (names.length < count && queues.some(q => q.length)) {
+    for (const queue of queues) {
+      if (names.length === count) break;
+      while (queue.length) {
+        const c      = queue.shift();
+        const tld    = tlds[names.length % tlds.length];
+        const domain = c.name + tld;
+        if (qualityGate(domain, seen, constraints)) continue;
+        seen.push(c.name);
+        const { score } = scoreDomain({ name: c.name, tld, style: c.style });
+        names.push({ domain, name: c.name, tld, style: c.style, technique: c.technique, from: c.from, score });
+        break;
+      }
+    }
+  }
+  return names;
+}
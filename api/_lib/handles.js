@@ -0,0 +1,112 @@
+import { redisGet, redisSet } from './redis.js';
+
+// ── Social handle availability ───────────────────────────────────────────────
+// Pluggable providers, one per platform:
+//   { platform: 'github', label: 'GitHub', check: async handle => true | false | null }
+// check() resolves true (free), false (taken) or null (unknown) and must not
+// throw for ordinary misses; one that throws or hangs past `timeout` counts as
+// unknown. Pass `providers` to checkHandles() to swap in stubs, e.g.
+// [{ platform: 'x', label: 'X', check: async () => true }].
+// Platforms without a public lookup API (Instagram, TikTok) have no provider
+// yet; the card keeps its namechk.com link for those.
+//
+// handle:{platform}:{handle}  '1' free / '0' taken, cached for a day
+
+const HANDLE_TTL = 86_400;
+const TIMEOUT_MS = 4000;
+
+// 404 from a profile/lookup URL means the handle is free, 200 means taken.
+async function probeStatus(url, headers = {}) {
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (res.status === 404) return true;
+  if (res.status === 200) return false;
+  return null;
+}
+
+const github = {
+  platform: 'github',
+  label:    'GitHub',
+  check:    handle => probeStatus(`https://api.github.com/users/${encodeURIComponent(handle)}`,
+    { 'User-Agent': 'domain-ate', Accept: 'application/vnd.github+json' }),
+};
+
+const reddit = {
+  platform: 'reddit',
+  label:    'Reddit',
+  async check(handle) {
+    if (handle.length < 3 || handle.length > 20) return null;
+    const res = await fetch(`https://www.reddit.com/api/username_available.json?user=${encodeURIComponent(handle)}`,
+      { headers: { 'User-Agent': 'domain-ate' }, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!res.ok) return null;
+    const body = await res.json().catch(() => null);
+    return typeof body === 'boolean' ? body : null;
+  },
+};
+
+// X API v2 — needs an app bearer token.
+const x = {
+  platform: 'x',
+  label:    'X',
+  async check(handle) {
+    if (handle.length > 15) return null;
+    const res = await fetch(`https://api.x.com/2/users/by/username/${encodeURIComponent(handle)}`, {
+      headers: { Authorization: `Bearer ${process.env.X_BEARER_TOKEN}` },
+      signal:  AbortSignal.timeout(TIMEOUT_MS),
+    });
+    if (!res.ok) return null;
+    const body = await res.json().catch(() => null);
+    if (body?.data?.id) return false;
+    return body?.errors?.some(e => e.title === 'Not Found Error') ? true : null;
+  },
+};
+
+// YouTube Data API — @handle lookup, needs an API key.
+const youtube = {
+  platform: 'youtube',
+  label:    'YouTube',
+  async check(handle) {
+    const res = await fetch(
+      `https://www.googleapis.com/youtube/v3/channels?part=id&forHandle=${encodeURIComponent('@' + handle)}&key=${encodeURIComponent(process.env.YOUTUBE_API_KEY)}`,
+      { signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!res.ok) return null;
+    const body = await res.json().catch(() => null);
+    return body ? !(body.items?.length > 0) : null;
+  },
+};
+
+// Providers that need credentials are only enabled when they are configured.
+export function defaultHandleProviders() {
+  return [
+    github,
+    reddit,
+    ...(process.env.X_BEARER_TOKEN  ? [x]       : []),
+    ...(process.env.YOUTUBE_API_KEY ? [youtube] : []),
+  ];
+}
+
+// null once `ms` have passed, so one stuck provider can't hold up the rest.
+async function withTimeout(promise, ms) {
+  let timer;
+  try {
+    return await Promise.race([promise, new Promise(resolve => { timer = setTimeout(resolve, ms, null); })]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Check one handle on every provider in parallel.
+// Returns [{ platform, label, available }] in provider order.
+export async function checkHandles(handle, { providers = defaultHandleProviders(), cache = true, timeout = TIMEOUT_MS } = {}) {
+  const h = String(handle).toLowerCase().replace(/[^a-z0-9_]/g, '');
+  return Promise.all(providers.map(async p => {
+    const key = `handle:${p.platform}:${h}`;
+    if (cache) {
+      const hit = await redisGet(key);
+      if (hit !== null) return { platform: p.platform, label: p.label, available: hit === '1' };
+    }
+    let available = null;
+    try { available = await withTimeout(p.check(h), timeout); } catch { available = null; }
+    if (cache && available !== null) redisSet(key, available ? '1' : '0', HANDLE_TTL);
+    return { platform: p.platform, label: p.label, available };
+  }));
+}
@@ -0,0 +1,136 @@
+import { redisCommand } from './redis.js';
+
+// ── Resumable suggestion jobs ────────────────────────────────────────────────
+// Every /api/suggest run and /api/bulk-check run is a job. Each SSE event it
+// emits is buffered so a client that drops mid-run can reconnect and replay
+// what it missed.
+// job:{jobId}         string  { userId, kind: suggest|bulk, status: running|done|error, createdAt } (JSON)
+// job:{jobId}:events  list    JSON events in emit order; list index = seq - 1
+
+const JOB_TTL = 3600; // buffered events outlive any run by a wide margin
+
+const RESUME_POLL_MS   = 1000;    // how often a resumed stream polls for new events
+const RESUME_WINDOW_MS = 50_000;  // stay inside maxDuration; the client reconnects again
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null; } catch { return null; }
+}
+
+// SSE event ids are "<jobId>:<seq>" so Last-Event-ID alone identifies both.
+export function formatEventId(jobId, seq) {
+  return `${jobId}:${seq}`;
+}
+
+export function parseEventId(eventId) {
+  const match = /^([0-9a-f-]{36}):(\d+)$/i.exec(String(eventId || '').trim());
+  return match ? { jobId: match[1], seq: parseInt(match[2], 10) } : null;
+}
+
+export async function createJob(jobId, userId, kind) {
+  const job = { userId, kind, status: 'running', createdAt: new Date().toISOString() };
+  await redisCommand('SET', `job:${jobId}`, JSON.stringify(job), 'EX', JOB_TTL);
+  return job;
+}
+
+export async function getJob(jobId) {
+  return parseJson(await redisCommand('GET', `job:${jobId}`));
+}
+
+export async function finishJob(jobId, status) {
+  const job = await getJob(jobId);
+  if (!job) return;
+  await redisCommand('SET', `job:${jobId}`, JSON.stringify({ ...job, status }), 'EX', JOB_TTL);
+}
+
+export async function appendJobEvent(jobId, event) {
+  await redisCommand('RPUSH', `job:${jobId}:events`, JSON.stringify(event));
+  await redisCommand('EXPIRE', `job:${jobId}:events`, JOB_TTL);
+}
+
+// Events with seq > afterSeq, as [{ seq, event }].
+export async function getJobEvents(jobId, afterSeq = 0) {
+  const rows = (await redisCommand('LRANGE', `job:${jobId}:events`, afterSeq, -1)) || [];
+  return rows.map((row, i) => ({ seq: afterSeq + i + 1, event: parseJson(row) })).filter(r => r.event);
+}
+
+// ── SSE streaming ────────────────────────────────────────────────────────────
+
+// Switch `res` to SSE for a new job. send() writes an event with an
+// "<jobId>:<seq>" id and buffers it (in order) for resumption; if the client
+// goes away the run keeps going so a reconnect can pick up the rest.
+// flush() resolves once every buffered event is stored.
+export function openJobStream(res, jobId) {
+  res.setHeader('Content-Type',  'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection',    'keep-alive');
+
+  let seq      = 0;
+  let closed   = false;
+  let buffered = Promise.resolve();
+  res.on('close', () => { closed = true; });
+
+  return {
+    send(data) {
+      seq++;
+      buffered = buffered.then(() => appendJobEvent(jobId, data));
+      if (!closed) res.write(`id: ${formatEventId(jobId, seq)}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    flush:  () => buffered,
+    closed: () => closed,
+  };
+}
+
+// Same interface as openJobStream() for a caller that wants one JSON reply:
+// events are buffered for the job as usual and collected in `events`.
+export function collectJobEvents(jobId) {
+  const events = [];
+  let buffered = Promise.resolve();
+  return {
+    events,
+    send(data) {
+      events.push(data);
+      buffered = buffered.then(() => appendJobEvent(jobId, data));
+    },
+    flush:  () => buffered,
+    closed: () => true,
+  };
+}
+
+// Resume a dropped stream: replays buffered events after `seq`, then tails
+// the job until it finishes (or the resume window closes — the client simply
+// reconnects again). `kind` must match the job's: a suggest run can't be
+// resumed from /api/bulk-check, or the other way round.
+export async function resumeJob(res, userId, { jobId, seq }, kind) {
+  const job = await getJob(jobId);
+  if (!job || job.userId !== userId || job.kind !== kind) {
+    return res.status(404).json({ error: 'This job can no longer be resumed.' });
+  }
+
+  res.setHeader('Content-Type',  'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection',    'keep-alive');
+
+  let closed  = false;
+  let lastSeq = seq;
+  res.on('close', () => { closed = true; });
+
+  const started = Date.now();
+  while (!closed) {
+    // Read status before events: a finished job has already flushed its buffer
+    const status = (await getJob(jobId))?.status;
+    for (const { seq: n, event } of await getJobEvents(jobId, lastSeq)) {
+      res.write(`id: ${formatEventId(jobId, n)}\ndata: ${JSON.stringify(event)}\n\n`);
+      lastSeq = n;
+    }
+    if (status !== 'running' || Date.now() - started > RESUME_WINDOW_MS) break;
+    await new Promise(r => setTimeout(r, RESUME_POLL_MS));
+  }
+
+  res.end();
+}
+
+// Job id from a reconnect: the Last-Event-ID header, or { jobId, lastSeq } in the body.
+export function resumePoint(req) {
+  return parseEventId(req.headers['last-event-id']) ||
+    (req.body?.jobId ? parseEventId(formatEventId(req.body.jobId, parseInt(req.body.lastSeq, 10) || 0)) : null);
+}
@@ -0,0 +1,255 @@
+import { WORDS } from './wordlist.js';
+
+// ── Cross-cultural name screening ────────────────────────────────────────────
+// Flags names that mean something unfortunate, or are awkward to say, in the
+// languages of a consultation's market. The word lists are bundled here (a
+// module rather than a data file, like wordlist.js): per language, one word
+// per line with a short English gloss, romanised for languages that aren't
+// written in Latin script. '!' marks vulgar or offensive words. Words of 5+
+// letters match anywhere in a name; shorter ones match the whole name, or
+// its start or end when the rest is a dictionary word ("culbox") or, for
+// 4-letter words, a short ending ("giftly"; up to 3 letters for vulgar ones,
+// "shitake") — so "culture" isn't flagged. Romanised words that are also
+// English words only match the whole name: in Latin letters they read as
+// English, so "sunshine" isn't Japanese "shine".
+// screenLinguistics() → { languages: [code], flags: [{ language, kind, severity, match?, note }] }
+//   kind      'meaning' | 'sound'
+//   severity  'high' (vulgar/offensive) · 'medium' (negative meaning) · 'low' (hard to say)
+
+export const LANGUAGES = {
+  en: 'English',  es: 'Spanish', fr: 'French',   de: 'German',     it: 'Italian',
+  pt: 'Portuguese', nl: 'Dutch', pl: 'Polish',   ru: 'Russian',    ar: 'Arabic',
+  hi: 'Hindi',    zh: 'Chinese', ja: 'Japanese', ko: 'Korean',     id: 'Indonesian',
+};
+
+// The major languages of each market (suggest.js `geo`).
+export const MARKET_LANGUAGES = {
+  global: ['en', 'es', 'fr', 'de', 'pt', 'ru', 'ar', 'hi', 'zh', 'ja'],
+  us:     ['en', 'es'],
+  europe: ['en', 'de', 'fr', 'es', 'it', 'nl', 'pl', 'pt'],
+  asia:   ['en', 'zh', 'ja', 'ko', 'hi', 'id'],
+};
+
+const MEANINGS = {
+  en: `
+!cunt     vulgar
+!fuck     vulgar
+!shit     vulgar
+!slut     offensive
+!porn     adult content
+!nazi     offensive
+scam      fraud
+fraud     fraud
+toxic     toxic
+`,
+  es: `
+!puta     whore
+!mierda   shit
+!cono     vulgar
+!verga    vulgar
+!pendejo  insult
+!chingar  vulgar
+!culo     arse
+caca      poo
+pedo      fart
+muerte    death
+feo       ugly
+nova      "no va" — doesn't go
+malo      bad
+`,
+  fr: `
+!merde    shit
+!pute     whore
+!chatte   vulgar
+bite      slang (penis)
+!con      idiot (vulgar)
+!cul      arse
+caca      poo
+mort      dead
+nul       worthless
+moche     ugly
+pet       fart
+`,
+  de: `
+!scheiss  shit
+!arsch    arse
+!fick     vulgar
+!hure     whore
+!titten   vulgar
+!kacke    shit
+mist      manure / rubbish
+gift      poison
+tod       death
+kot       faeces
+pisse     piss
+`,
+  it: `
+!cazzo    vulgar
+!merda    shit
+!stronzo  insult
+!puttana  whore
+!troia    whore
+!figa     vulgar
+!culo     arse
+cacca     poo
+morte     death
+`,
+  pt: `
+!porra    vulgar
+!caralho  vulgar
+!buceta   vulgar
+!puta     whore
+!merda    shit
+!cu       arse
+bosta     dung
+morte     death
+`,
+  nl: `
+!kut      vulgar
+!lul      vulgar
+!hoer     whore
+!slet     slut
+kak       shit
+dood      dead
+`,
+  pl: `
+!kurwa    vulgar
+!chuj     vulgar
+!pizda    vulgar
+!gowno    shit
+dupa      arse
+smierc    death
+`,
+  ru: `
+!blyat    vulgar
+!khuy     vulgar
+!pizdec   vulgar
+!govno    shit
+smert     death
+durak     fool
+`,
+  ar: `
+!sharmouta whore
+!kuss     vulgar
+kalb      dog (insult)
+hmar      donkey (insult)
+zift      tar / rubbish
+`,
+  hi: `
+!chutiya  vulgar
+!gandu    vulgar
+!bhosdi   vulgar
+!lund     vulgar
+gand      arse
+kutta     dog (insult)
+ullu      idiot
+maut      death
+bakwas    nonsense
+`,
+  zh: `
+!shabi    vulgar
+laji      rubbish
+siwang    death
+si        sounds like "death"
+`,
+  ja: `
+!manko    vulgar
+!unko     poo
+kuso      shit
+baka      idiot
+shine     "die!" (shi-ne)
+kusai     smelly
+dame      no good
+shi       sounds like "death"
+`,
+  ko: `
+!ssibal   vulgar
+!sibal    vulgar
+!byeongsin insult
+gae       dog (insult prefix)
+`,
+  id: `
+!kontol   vulgar
+anjing    dog (insult)
+babi      pig (insult)
+tai       shit
+mati      dead
+jelek     ugly
+bego      stupid
+`,
+};
+
+// Letter patterns speakers of each language tend to say differently.
+const SOUNDS = {
+  es: [[/^s[^aeiou]/, 'initial "s" + consonant is said "es-"'], [/th/, 'no "th" sound'], [/^h/, 'initial "h" is silent']],
+  fr: [[/th/, 'no "th" sound'], [/^h/, 'initial "h" is silent']],
+  de: [[/^w/, '"w" is said "v"'], [/z/, '"z" is said "ts"'], [/th/, 'no "th" sound']],
+  it: [[/th/, 'no "th" sound'], [/^[jkwxy]/, 'starts with a letter outside the Italian alphabet']],
+  pt: [[/th/, 'no "th" sound'], [/^r/, 'initial "r" is said like "h" in Brazil']],
+  nl: [[/th/, 'no "th" sound'], [/^g/, '"g" is a throaty "kh"']],
+  ru: [[/th/, 'no "th" sound'], [/w/, '"w" is said "v"']],
+  ar: [[/p/, 'no "p" sound — said "b"'], [/v/, 'no "v" sound — said "f"']],
+  zh: [[/th/, 'no "th" sound'], [/v/, 'no "v" sound']],
+  ja: [[/l.*r|r.*l/, '"l" and "r" sound the same'], [/th/, 'no "th" sound'], [/v/, '"v" is said "b"']],
+  ko: [[/f/, '"f" is said "p"'], [/v/, '"v" is said "b"'], [/z/, '"z" is said "j"'], [/th/, 'no "th" sound']],
+};
+
+// Languages whose lists are romanised from another script.
+const ROMANISED = new Set(['ru', 'ar', 'hi', 'zh', 'ja', 'ko']);
+
+function parseMeanings(text, lang) {
+  return text.trim().split('\n').map(line => {
+    const [, bang, word, note] = line.match(/^(!?)(\S+)\s+(.+)$/);
+    return { word, note: note.trim(), severity: bang ? 'high' : 'medium', english: ROMANISED.has(lang) && WORDS.has(word) };
+  });
+}
+
+const WORD_LISTS = Object.fromEntries(Object.entries(MEANINGS).map(([lang, text]) => [lang, parseMeanings(text, lang)]));
+
+// Accents off, Latin letters only ("Müller" → "muller"). Empty for names in
+// other scripts, which these lists can't screen.
+function plainLatin(name) {
+  const plain = String(name).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+  return /^[a-z0-9-]+$/.test(plain) ? plain.replace(/[^a-z]/g, '') : '';
+}
+
+function contains(name, { word, severity, english }) {
+  if (english) return name === word;
+  if (word.length >= 5) return name.includes(word);
+  const rest = name.startsWith(word) ? name.slice(word.length)
+    : name.endsWith(word) ? name.slice(0, -word.length)
+    : null;
+  if (rest === null) return false;
+  return rest === '' || WORDS.has(rest) || (word.length === 4 && rest.length <= (severity === 'high' ? 3 : 2));
+}
+
+// The languages screened for a market, plus the consultation's own language.
+export function marketLanguages(geo, language) {
+  const langs = MARKET_LANGUAGES[geo] || MARKET_LANGUAGES.global;
+  return [...new Set([...langs, ...(Object.hasOwn(LANGUAGES, language ?? '') ? [language] : [])])];
+}
+
+// name: the label without its TLD, Unicode or ASCII.
+export function screenLinguistics(name, { geo = 'global', language = 'en' } = {}) {
+  const languages = marketLanguages(geo, language);
+  const plain     = plainLatin(name);
+  const flags     = [];
+  if (!plain) return { languages, flags };
+
+  for (const lang of languages) {
+    for (const entry of WORD_LISTS[lang] || []) {
+      if (contains(plain, entry)) {
+        flags.push({ language: lang, kind: 'meaning', severity: entry.severity, match: entry.word, note: entry.note });
+      }
+    }
+    for (const [re, note] of SOUNDS[lang] || []) {
+      if (re.test(plain)) flags.push({ language: lang, kind: 'sound', severity: 'low', note });
+    }
+  }
+  return { languages, flags };
+}
+
+// The first vulgar or offensive meaning, for rejecting a name outright.
+export function offensiveMeaning(screen) {
+  return screen.flags.find(f => f.kind === 'meaning' && f.severity === 'high') || null;
+}
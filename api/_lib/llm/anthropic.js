@@ -0,0 +1,62 @@
+// ── Anthropic provider ───────────────────────────────────────────────────────
+// The Messages API. Overloaded (529), rate-limited (429) and 5xx responses
+// are retried a couple of times, honouring retry-after when it is sent.
+
+const API_URL     = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+const RETRIES     = 2;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function isRetryable(status) {
+  return status === 429 || status === 529 || status >= 500;
+}
+
+function retryDelay(res, attempt) {
+  const after = parseFloat(res.headers.get('retry-after'));
+  return Math.min(isNaN(after) ? 1000 * 2 ** attempt : after * 1000, 10_000);
+}
+
+// Messages API response → provider turn (see index.js).
+export function parseTurn(data) {
+  const content = Array.isArray(data?.content) ? data.content : [];
+  return {
+    content,
+    stopReason: data?.stop_reason || 'end_turn',
+    toolCalls:  content.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, input: b.input || {} })),
+    usage: {
+      inputTokens:  data?.usage?.input_tokens  || 0,
+      outputTokens: data?.usage?.output_tokens || 0,
+    },
+  };
+}
+
+export default {
+  id: 'anthropic',
+
+  configured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+
+  async createTurn({ model, maxTokens, system, tools, messages }) {
+    for (let attempt = 0; ; attempt++) {
+      const res = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'x-api-key':         process.env.ANTHROPIC_API_KEY,
+          'anthropic-version': API_VERSION,
+          'content-type':      'application/json',
+        },
+        body: JSON.stringify({ model, max_tokens: maxTokens, system, tools, messages }),
+      });
+      const data = await res.json().catch(() => null);
+      if (res.ok) return parseTurn(data);
+
+      if (!isRetryable(res.status) || attempt >= RETRIES) {
+        const err = new Error(`Anthropic API: ${res.status} ${data?.error?.message || JSON.stringify(data)}`);
+        err.status    = res.status;
+        err.retryable = isRetryable(res.status);
+        throw err;
+      }
+      await sleep(retryDelay(res, attempt));
+    }
+  },
+};
@@ -0,0 +1,34 @@
+import anthropic from './anthropic.js';
+import { mockFromEnv } from './mock.js';
+import { planLimits } from '../plans.js';
+
+// ── LLM providers ────────────────────────────────────────────────────────────
+// Every provider has the same shape:
+//   { id, configured(): boolean,
+//     createTurn({ model, maxTokens, system, tools, messages }) →
+//       { content, stopReason, toolCalls: [{ id, name, input }], usage: { inputTokens, outputTokens } } }
+// Tools and messages use the Anthropic Messages format (tool_use blocks in,
+// tool_result blocks back); providers for other APIs translate. stopReason is
+// 'end_turn' | 'tool_use' | 'max_tokens' | 'refusal' | ...
+// createTurn throws on API errors, with `status` and `retryable` set.
+// LLM_PROVIDER picks the provider: 'anthropic' (default) or 'mock' (see mock.js).
+
+const MAX_TOKENS = 4096;
+
+// A fresh provider per run — scripted mocks keep per-run state.
+export function getProvider() {
+  const id = process.env.LLM_PROVIDER || 'anthropic';
+  if (id === 'mock')      return mockFromEnv();
+  if (id === 'anthropic') return anthropic;
+  throw new Error(`Unknown LLM_PROVIDER "${id}"`);
+}
+
+// Model settings for a plan: LLM_MODEL_{PLAN} (e.g. LLM_MODEL_FREE), then
+// LLM_MODEL, then the plan table's default.
+export function modelForPlan(plan) {
+  const limits = planLimits(plan);
+  return {
+    model:     process.env[`LLM_MODEL_${limits.id.toUpperCase()}`] || process.env.LLM_MODEL || limits.model,
+    maxTokens: MAX_TOKENS,
+  };
+}
@@ -0,0 +1,87 @@
+// ── Scripted mock provider ───────────────────────────────────────────────────
+// A deterministic stand-in for the model, for tests and offline runs. It
+// replays a script instead of calling an API. The script is either a list of
+// steps, one per turn, or one function (messages, turn) → step called every
+// turn. A step looks like
+//   { text?, tools?: [{ name, input }], stopReason?, error?: { status, message } }
+// `error` makes the turn throw like a failed API call. Tool-use ids are
+// numbered in order (toolu_mock_1, ...). When the script runs out every turn
+// is a plain end_turn. Requests are kept on `provider.requests`.
+
+const DEFAULT_CANDIDATES = ['quillora.io', 'brightnest.co', 'fernly.app', 'tidewell.com', 'lumora.ai', 'kindrel.io'];
+
+export function createMockProvider(script = [], { id = 'mock' } = {}) {
+  const requests = [];
+  let nextId = 0;
+
+  return {
+    id,
+    requests,
+
+    configured: () => true,
+
+    async createTurn(request) {
+      const turn = requests.length;
+      requests.push({ ...request, messages: [...request.messages] });
+
+      const step = (typeof script === 'function' ? script(request.messages, turn) : script[turn]) || { text: 'Done.' };
+      if (step.error) {
+        const err = new Error(`Mock provider: ${step.error.status || 500} ${step.error.message || 'scripted error'}`);
+        err.status    = step.error.status || 500;
+        err.retryable = false;
+        throw err;
+      }
+
+      const toolCalls = (step.tools || []).map(t => ({ id: `toolu_mock_${++nextId}`, name: t.name, input: t.input || {} }));
+      const text      = step.text || (toolCalls.length ? '' : 'Done.');
+      return {
+        content: [
+          ...(text ? [{ type: 'text', text }] : []),
+          ...toolCalls.map(c => ({ type: 'tool_use', ...c })),
+        ],
+        stopReason: step.stopReason || (toolCalls.length ? 'tool_use' : 'end_turn'),
+        toolCalls,
+        usage: { inputTokens: 0, outputTokens: 0 },
+      };
+    },
+  };
+}
+
+// A script that reacts to tool results like the model is asked to: check each
+// candidate domain in turn and submit it as soon as it comes back available.
+export function checkAndSubmit(candidates = DEFAULT_CANDIDATES, { style = 'brandable', rationale = 'Scripted suggestion' } = {}) {
+  let next    = 0;
+  let pending = null; // domain checked in the previous turn
+
+  return messages => {
+    const last    = messages[messages.length - 1];
+    const results = Array.isArray(last?.content) ? last.content.filter(b => b.type === 'tool_result') : [];
+    const checked = pending;
+    pending = null;
+
+    if (checked && results.length) {
+      let outcome = null;
+      try { outcome = JSON.parse(results[0].content); } catch {}
+      if (outcome?.available === true) {
+        const dot = checked.indexOf('.');
+        return { tools: [{ name: 'submit_domain', input: { name: checked.slice(0, dot), tld: checked.slice(dot), style, rationale } }] };
+      }
+    }
+
+    if (next >= candidates.length) return { text: 'No more candidates.' };
+    pending = candidates[next++];
+    return { tools: [{ name: 'check_domain', input: { domain: pending } }] };
+  };
+}
+
+// LLM_MOCK_SCRIPT holds a JSON list of steps; without it the mock checks and
+// submits a fixed set of candidates.
+export function mockFromEnv() {
+  const raw = process.env.LLM_MOCK_SCRIPT;
+  if (!raw) return createMockProvider(checkAndSubmit());
+  try {
+    return createMockProvider(JSON.parse(raw));
+  } catch {
+    throw new Error('LLM_MOCK_SCRIPT is not valid JSON');
+  }
+}
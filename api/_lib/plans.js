@@ -0,0 +1,40 @@
+// ── Plans ────────────────────────────────────────────────────────────────────
+// Everything a plan entitles its account to. The plan id is what the Stripe
+// webhook writes to Clerk public_metadata.plan.
+//   monthlyCredits   consultations per calendar month (null = unlimited)
+//   maxResults       largest options.count per consultation
+//   bulkDomains      domains per month through /api/bulk-check
+//   apiAccess        may create and use API keys
+//   seats            Clerk users sharing the account's credits (team plans)
+//   model            default model for consultations (overridable, see llm/index.js)
+//   priceEnv         env var with the Stripe price id (null = not for sale)
+
+export const PLANS = {
+  free:    { id: 'free',    name: 'Free',    monthlyCredits: 5,    maxResults: 10, bulkDomains: 500,    apiAccess: false, seats: 1,  model: 'claude-sonnet-4-6', priceEnv: null },
+  starter: { id: 'starter', name: 'Starter', monthlyCredits: 30,   maxResults: 15, bulkDomains: 5000,   apiAccess: false, seats: 1,  model: 'claude-sonnet-4-6', priceEnv: 'STRIPE_PRICE_ID_STARTER' },
+  pro:     { id: 'pro',     name: 'Pro',     monthlyCredits: null, maxResults: 25, bulkDomains: 25_000, apiAccess: true,  seats: 1,  model: 'claude-sonnet-4-6', priceEnv: 'STRIPE_PRICE_ID' },
+  team:    { id: 'team',    name: 'Team',    monthlyCredits: 500,  maxResults: 25, bulkDomains: 50_000, apiAccess: true,  seats: 10, model: 'claude-sonnet-4-6', priceEnv: 'STRIPE_PRICE_ID_TEAM' },
+};
+
+// One-off credit packs, bought with Stripe Checkout in payment mode. Pack
+// credits never expire and are spent once the monthly allowance runs out.
+export const CREDIT_PACKS = {
+  'credits-20':  { id: 'credits-20',  credits: 20,  priceEnv: 'STRIPE_PRICE_ID_CREDITS_20' },
+  'credits-100': { id: 'credits-100', credits: 100, priceEnv: 'STRIPE_PRICE_ID_CREDITS_100' },
+};
+
+// Unknown or missing plan ids get the free plan.
+export function planLimits(plan) {
+  return PLANS[plan] || PLANS.free;
+}
+
+// The Stripe price id configured for a plan or pack, or null.
+export function stripePrice(item) {
+  return (item?.priceEnv && process.env[item.priceEnv]) || null;
+}
+
+// Plan id for a subscription's Stripe price, or null.
+export function planForPrice(priceId) {
+  if (!priceId) return null;
+  return Object.values(PLANS).find(p => stripePrice(p) === priceId)?.id || null;
+}
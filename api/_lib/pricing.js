@@ -0,0 +1,119 @@
+import { redisCommand } from './redis.js';
+import { REGISTRARS } from './registrars/index.js';
+
+// ── Domain pricing ───────────────────────────────────────────────────────────
+// Each registrar adapter's full pricing sheet (register, renew, transfer for
+// every TLD) is fetched once, reduced to the durations we quote and cached in
+// Redis, so /api/domain-price never re-downloads it per request.
+// pricing:sheet:{registrarId}  string  { registrar, updatedAt, tlds: { com: { register: { 1: 9.06, ... }, renew, transfer } } }
+// Prices are USD totals for the whole duration, ICANN fee included.
+
+export const DURATIONS = [1, 2, 5, 10];
+const ACTIONS          = ['register', 'renew', 'transfer'];
+const SHEET_TTL        = 86_400;      // registrars change prices rarely
+const MEMO_MS          = 3_600_000;   // per-instance copy on top of Redis
+
+// Namecheap list prices, used when no registrar sheet can be fetched. Renewals are the regular price, which
+// is where .io / .ai / .co first-year promos catch people out.
+const FALLBACK_PRICES = {
+  '.com':    { register:  8.88, renew: 14.58 },
+  '.net':    { register: 10.48, renew: 16.98 },
+  '.org':    { register: 11.06, renew: 15.98 },
+  '.io':     { register: 32.98, renew: 59.98 },
+  '.ai':     { register: 79.99, renew: 89.98 },
+  '.co':     { register: 29.98, renew: 32.98 },
+  '.app':    { register: 14.00, renew: 19.98 },
+  '.store':  { register: 19.98, renew: 58.98 },
+  '.xyz':    { register: 12.98, renew: 14.98 },
+  '.dev':    { register: 12.00, renew: 16.98 },
+  '.tech':   { register: 39.99, renew: 54.98 },
+  '.info':   { register: 14.98, renew: 24.98 },
+  '.me':     { register: 14.98, renew: 22.98 },
+  '.us':     { register:  8.98, renew: 10.98 },
+  '.uk':     { register:  9.98, renew: 10.98 },
+  '.online': { register: 19.98, renew: 39.98 },
+  '.site':   { register: 19.98, renew: 34.98 },
+  '.shop':   { register: 29.98, renew: 36.98 },
+  '.biz':    { register: 14.98, renew: 19.98 },
+};
+
+const _memo = {}; // registrarId → { sheet, at }
+
+const round = n => Math.round(n * 100) / 100;
+
+// Memo → Redis → adapter. Returns null when the registrar's sheet can't be had.
+export async function getPricingSheet(registrar, clientIp = '0.0.0.0') {
+  const memo = _memo[registrar.id];
+  if (memo && Date.now() - memo.at < MEMO_MS) return memo.sheet;
+
+  const key = `pricing:sheet:${registrar.id}`;
+  let sheet = null;
+  try {
+    const cached = await redisCommand('GET', key);
+    sheet = cached ? JSON.parse(cached) : null;
+  } catch { sheet = null; }
+
+  if (!sheet) {
+    try {
+      const tlds = await registrar.getPricing({ clientIp });
+      sheet = { registrar: registrar.id, updatedAt: new Date().toISOString(), tlds };
+      await redisCommand('SET', key, JSON.stringify(sheet), 'EX', SHEET_TTL);
+    } catch (err) {
+      console.error(`${registrar.name} pricing error:`, err.message);
+      sheet = null;
+    }
+  }
+
+  if (sheet) _memo[registrar.id] = { sheet, at: Date.now() };
+  return sheet;
+}
+
+// Sheets from every configured registrar that publishes one, fetched in parallel.
+export async function getPricingSheets(clientIp) {
+  const priced = REGISTRARS.filter(r => r.getPricing && r.configured());
+  const sheets = await Promise.all(priced.map(r => getPricingSheet(r, clientIp)));
+  return sheets.filter(Boolean);
+}
+
+function fallbackEntry(tld) {
+  const flat = FALLBACK_PRICES[tld];
+  return flat ? { register: { 1: flat.register }, renew: { 1: flat.renew }, transfer: { 1: flat.renew } } : null;
+}
+
+// Quote for one TLD (".io"): { register, renew, transfer } totals keyed by
+// years, plus the "true" 5-year cost of registering and renewing four times.
+// Durations the sheet doesn't list are priced the way a registrar bills them:
+// the first year, then a renewal per extra year (null if either is unknown).
+export function quoteTld(sheet, tld) {
+  const entry = sheet ? sheet.tlds[tld.replace(/^\./, '')] : fallbackEntry(tld);
+  if (!entry) return null;
+
+  const renewal = entry.renew?.[1] ?? null;
+  const quote   = {};
+  for (const action of ACTIONS) {
+    quote[action] = Object.fromEntries(DURATIONS.map(y => {
+      const listed = entry[action]?.[y];
+      if (listed != null) return [y, listed];
+      if (renewal === null) return [y, null];
+      if (action === 'renew') return [y, round(renewal * y)];
+      const first = entry[action]?.[1];
+      return [y, first != null ? round(first + renewal * (y - 1)) : null];
+    }));
+  }
+  quote.fiveYearCost = quote.register[1] !== null && renewal !== null ? round(quote.register[1] + renewal * 4) : null;
+  return quote;
+}
+
+// Every registrar's quote for one TLD, cheapest true 5-year cost first.
+// Without any live sheet, the Namecheap fallback table stands in.
+export function compareTld(sheets, tld) {
+  const offers = sheets.length
+    ? sheets.map(sheet => ({ registrar: sheet.registrar, ...quoteTld(sheet, tld) })).filter(o => o.register && Object.values(o.register).some(v => v !== null))
+    : [];
+  if (offers.length === 0) {
+    const fallback = quoteTld(null, tld);
+    if (fallback) offers.push({ registrar: 'namecheap', ...fallback, estimated: true });
+  }
+  const cost = o => o.fiveYearCost ?? o.register[1] ?? Infinity;
+  return offers.sort((a, b) => cost(a) - cost(b));
+}
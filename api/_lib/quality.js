@@ -0,0 +1,77 @@
+import { domainToUnicode } from 'url';
+import { DEFAULT_CONSTRAINTS } from './constraints.js';
+
+// ── Quality gate ──────────────────────────────────────────────────────────────
+// Called before RDAP — no network required.
+// Returns null on pass, or a string describing why it failed.
+// seenNames = names that already passed this gate (for diversity enforcement).
+// constraints = validated per-request naming options (see constraints.js).
+// IDNs (punycode) are judged on their Unicode form: accents are ignored for
+// the vowel checks, and names in non-Latin scripts skip them.
+
+const VOWEL_RATIO_MIN = 0.2;
+const VOWEL_RATIO_MAX = 0.6;
+
+export const PADDING_SUFFIXES = ['app', 'hq', 'get', 'now', 'go', 'try', 'my', 'use', 'hub', 'pro'];
+
+export function editDist(a, b) {
+  const m = a.length, n = b.length;
+  const dp = Array.from({ length: m + 1 }, (_, i) =>
+    Array.from({ length: n + 1 }, (_, j) => i === 0 ? j : j === 0 ? i : 0));
+  for (let i = 1; i <= m; i++)
+    for (let j = 1; j <= n; j++)
+      dp[i][j] = a[i - 1] === b[j - 1]
+        ? dp[i - 1][j - 1]
+        : 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
+  return dp[m][n];
+}
+
+// Why a name in plain Latin letters (a–z, accents already dropped) is hard
+// to say, or null. Shared with scoring.js so the gate and the score agree
+// on "pronounceable".
+export function pronounceabilityIssue(letters) {
+  const vowelRatio = (letters.match(/[aeiou]/g) || []).length / Math.max(1, letters.length);
+  if (vowelRatio < VOWEL_RATIO_MIN || vowelRatio > VOWEL_RATIO_MAX) return 'poor vowel ratio — likely unpronounceable';
+  if (/[^aeiou]{4,}/.test(letters))                                  return 'consonant cluster — unpronounceable';
+  return null;
+}
+
+export function qualityGate(domain, seenNames, constraints = DEFAULT_CONSTRAINTS) {
+  const c   = constraints;
+  const dot = domain.indexOf('.');
+  if (dot === -1) return 'missing TLD';
+  const ascii = domain.slice(0, dot).toLowerCase();
+  const name  = ascii.startsWith('xn--') ? domainToUnicode(ascii) || ascii : ascii;
+  const tld   = domain.slice(dot).toLowerCase();
+  if (c.tlds && !c.tlds.includes(tld)) return `TLD ${tld} not allowed — use one of ${c.tlds.join(', ')}`;
+  const length = [...name].length;
+  if (length < c.minLength) return `too short (min ${c.minLength} chars)`;
+  if (length > c.maxLength) return `too long (max ${c.maxLength} chars)`;
+  if (/[0-9-]/.test(name)) return 'contains digits or hyphens';
+
+  const must = c.mustInclude;
+  if (must) {
+    const ok = must.position === 'prefix' ? name.startsWith(must.text)
+      : must.position === 'suffix'        ? name.endsWith(must.text)
+      : name.includes(must.text);
+    if (!ok) return `must ${must.position === 'anywhere' ? 'contain' : must.position === 'prefix' ? 'start with' : 'end with'} "${must.text}"`;
+  }
+  const banned = c.bannedWords.find(w => name.includes(w));
+  if (banned) return `contains banned word "${banned}"`;
+
+  const latin = name.normalize('NFD').replace(/\p{M}/gu, '');
+  const hardToSay = /^[a-z]+$/.test(latin) && pronounceabilityIssue(latin);
+  if (hardToSay) return hardToSay;
+  const offender = PADDING_SUFFIXES.find(p => name !== p && name.endsWith(p) && name.length > p.length + 2 &&
+    !(must && name.endsWith(must.text)));
+  if (offender) return `padding suffix detected — ends in "${offender}"`;
+
+  // A required keyword makes every name share letters — compare the rest,
+  // with a tighter threshold since the remainders are short
+  const strip   = n => must ? n.replace(must.text, '') : n;
+  const maxDist = must ? 1 : 2;
+  for (const seen of seenNames) {
+    if (editDist(strip(name), strip(seen)) <= maxDist) return `too similar to already-tried "${seen}" — invent a different concept`;
+  }
+  return null; // pass
+}
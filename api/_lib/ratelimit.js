@@ -0,0 +1,169 @@
+import { randomUUID } from 'crypto';
+import { redisCommand } from './redis.js';
+
+// ── Rate limiting and upstream protection ────────────────────────────────────
+// State lives in Redis so every serverless instance shares it.
+// bucket:{route}:{ip|user}:{id}   hash    { tokens, ts } — token bucket per caller
+// bucket:upstream:{upstream}      hash    { tokens, ts } — requests/minute we send upstream
+// upstream:{upstream}:slots       zset    lease id → lease expiry (ms); in-flight requests
+// upstream:{upstream}:backoff     string  set (with a TTL) while the upstream asked us to wait
+// A Redis outage fails open: requests are allowed and upstream slots granted.
+
+// Per-route buckets for inbound requests. capacity is the burst size,
+// perMinute the refill rate. Lookups cost one token per domain, so every
+// capacity must cover the largest single request (50 domains).
+export const BUCKETS = {
+  'check-domains':    { ip: { capacity: 100, perMinute: 60 }, user: { capacity: 300, perMinute: 200 } },
+  'score':            { ip: { capacity: 100, perMinute: 60 }, user: { capacity: 300, perMinute: 200 } },
+  'domain-price':     { ip: { capacity: 20,  perMinute: 10 }, user: { capacity: 60,  perMinute: 30 } },
+  'shared-shortlist': { ip: { capacity: 10,  perMinute: 5 },  user: { capacity: 10,  perMinute: 5 } },
+  'generate':         { ip: { capacity: 20,  perMinute: 10 }, user: { capacity: 60,  perMinute: 30 } },
+};
+
+// What we allow ourselves to send each upstream. RDAP and WHOIS limits apply
+// per server, e.g. withUpstream('rdap:rdap.verisign.com', ...).
+const UPSTREAMS = {
+  namecheap: { concurrency: 2, perMinute: 20 },  // Namecheap bans API users above 20/min
+  godaddy:   { concurrency: 4, perMinute: 60 },
+  rdap:      { concurrency: 4 },
+  whois:     { concurrency: 2 },
+};
+
+const LEASE_MS           = 30_000;  // a crashed instance's slot frees itself after this
+const SLOT_POLL_MS       = 200;
+const DEFAULT_MAX_WAIT   = 5000;    // longest a lookup queues for an upstream
+const DEFAULT_BACKOFF    = 30;      // seconds, when a 429 carries no Retry-After
+const MAX_BACKOFF        = 600;
+const UNLIMITED          = 1000;    // slot count for upstreams without a concurrency cap
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Refill, then take `cost` tokens if there are enough.
+// Returns [allowed (0|1), tokens left, ms until `cost` tokens are available].
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate     = tonumber(ARGV[2])
+local now      = tonumber(ARGV[3])
+local cost     = tonumber(ARGV[4])
+local state    = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens   = tonumber(state[1]) or capacity
+local ts       = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens  = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate))
+local wait = 0
+if allowed == 0 then wait = math.ceil((cost - tokens) / rate) end
+return { allowed, math.floor(tokens), wait }`;
+
+// Returns 1 and records the lease when a slot is free, 0 when all slots are
+// taken, or -ms while the upstream is backed off.
+const ACQUIRE_SLOT_SCRIPT = `
+local backoff = redis.call('PTTL', KEYS[2])
+if backoff > 0 then return -backoff end
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[2]) then return 0 end
+redis.call('ZADD', KEYS[1], ARGV[3], ARGV[4])
+redis.call('PEXPIRE', KEYS[1], ARGV[5])
+return 1`;
+
+// Take `cost` tokens from the bucket at `key`.
+// Returns { allowed, remaining, waitMs }.
+export async function takeToken(key, { capacity, perMinute }, cost = 1) {
+  const reply = await redisCommand('EVAL', TOKEN_BUCKET_SCRIPT, 1, key, capacity, perMinute / 60_000, Date.now(), cost);
+  if (!Array.isArray(reply)) return { allowed: true, remaining: capacity, waitMs: 0 };
+  return { allowed: reply[0] === 1, remaining: reply[1], waitMs: reply[2] };
+}
+
+// Client IP as seen by the Vercel edge.
+export function requestIp(req) {
+  return (req.headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+    req.socket?.remoteAddress ||
+    '127.0.0.1';
+}
+
+// Charge a request to its caller's bucket for `route`: the signed-in user's
+// when userId is known (so offices behind one NAT don't share a bucket),
+// otherwise the client IP's. Returns null when allowed, or
+// { error, status: 429, retryAfter } to send with rejectRequest().
+export async function limitRequest(req, route, { userId = null, cost = 1 } = {}) {
+  const buckets = BUCKETS[route];
+  const [kind, id, bucket] = userId ? ['user', userId, buckets.user] : ['ip', requestIp(req), buckets.ip];
+  const result = await takeToken(`bucket:${route}:${kind}:${id}`, bucket, cost);
+  if (result.allowed) return null;
+  const retryAfter = Math.max(1, Math.ceil(result.waitMs / 1000));
+  return { error: `Too many requests — try again in ${retryAfter}s.`, status: 429, retryAfter };
+}
+
+// ── Upstream concurrency and backoff ─────────────────────────────────────────
+
+// Retry-After is either delay-seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, (at - Date.now()) / 1000);
+}
+
+// Record that `upstream` throttled us (a 429 or equivalent). Every instance
+// stops calling it until the Retry-After delay has passed.
+// Returns the backoff in seconds.
+export async function backOff(upstream, retryAfter = null) {
+  const seconds = Math.min(MAX_BACKOFF, Math.max(1, Math.ceil(parseRetryAfter(retryAfter) ?? DEFAULT_BACKOFF)));
+  await redisCommand('SET', `upstream:${upstream}:backoff`, '1', 'EX', seconds);
+  return seconds;
+}
+
+function busyError(upstream, waitMs) {
+  const err = new Error(`${upstream} is busy or backed off — retry in ${Math.ceil(waitMs / 1000)}s`);
+  err.retryAfter = Math.ceil(waitMs / 1000);
+  return err;
+}
+
+async function acquireSlot(upstream, limits, lease) {
+  const now   = Date.now();
+  const reply = await redisCommand('EVAL', ACQUIRE_SLOT_SCRIPT, 2,
+    `upstream:${upstream}:slots`, `upstream:${upstream}:backoff`,
+    now, limits.concurrency ?? UNLIMITED, now + LEASE_MS, lease, LEASE_MS);
+  if (reply === null) return 0;            // Redis down — go ahead
+  if (reply < 0)      return -reply;       // backed off
+  if (reply === 0)    return SLOT_POLL_MS; // full — poll again
+  if (!limits.perMinute) return 0;
+
+  const bucket = await takeToken(`bucket:upstream:${upstream}`, { capacity: limits.perMinute, perMinute: limits.perMinute });
+  if (bucket.allowed) return 0;
+  await releaseSlot(upstream, lease);
+  return bucket.waitMs;
+}
+
+async function releaseSlot(upstream, lease) {
+  await redisCommand('ZREM', `upstream:${upstream}:slots`, lease);
+}
+
+// Run fn() once `upstream` has a free slot, isn't backed off and is within its
+// request rate. Waits up to maxWait ms, then throws an Error with retryAfter
+// (seconds) so callers can fall through to another source.
+// `upstream` is a UPSTREAMS key, optionally with ':host' for per-server limits.
+export async function withUpstream(upstream, fn, { maxWait = DEFAULT_MAX_WAIT } = {}) {
+  const limits   = UPSTREAMS[upstream.split(':')[0]] || {};
+  const lease    = randomUUID();
+  const deadline = Date.now() + maxWait;
+
+  for (;;) {
+    const waitMs = await acquireSlot(upstream, limits, lease);
+    if (waitMs === 0) break;
+    if (Date.now() + waitMs > deadline) throw busyError(upstream, waitMs);
+    await sleep(waitMs);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseSlot(upstream, lease);
+  }
+}
@@ -0,0 +1,56 @@
+// ── Upstash Redis REST helpers ───────────────────────────────────────────────
+// Shared by every endpoint. All helpers swallow network errors so a Redis
+// outage degrades to "no cache" instead of failing the request.
+
+function redisUrl(path) {
+  return `${process.env.UPSTASH_REDIS_REST_URL}/${path}`;
+}
+
+function redisHeaders() {
+  return { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` };
+}
+
+export async function redisGet(key) {
+  try {
+    const res  = await fetch(redisUrl(`get/${encodeURIComponent(key)}`), { headers: redisHeaders() });
+    const data = await res.json();
+    return data.result ?? null;
+  } catch { return null; }
+}
+
+export async function redisSet(key, value, ttl) {
+  try {
+    const url = ttl
+      ? redisUrl(`set/${encodeURIComponent(key)}/${encodeURIComponent(value)}?EX=${ttl}`)
+      : redisUrl(`set/${encodeURIComponent(key)}/${encodeURIComponent(value)}`);
+    await fetch(url, { headers: redisHeaders() });
+  } catch {}
+}
+
+export async function redisIncr(key) {
+  try {
+    const res  = await fetch(redisUrl(`incr/${encodeURIComponent(key)}`), { headers: redisHeaders() });
+    const data = await res.json();
+    return data.result ?? null;
+  } catch { return null; }
+}
+
+export async function redisExpire(key, ttl) {
+  try {
+    await fetch(redisUrl(`expire/${encodeURIComponent(key)}/${ttl}`), { headers: redisHeaders() });
+  } catch {}
+}
+
+// Run any Redis command via the REST API's JSON body form, e.g.
+// redisCommand('SADD', 'key', 'member'). Returns the result, or null on error.
+export async function redisCommand(...args) {
+  try {
+    const res  = await fetch(process.env.UPSTASH_REDIS_REST_URL, {
+      method:  'POST',
+      headers: { ...redisHeaders(), 'Content-Type': 'application/json' },
+      body:    JSON.stringify(args.map(String)),
+    });
+    const data = await res.json();
+    return data.result ?? null;
+  } catch { return null; }
+}
@@ -0,0 +1,51 @@
+import { backOff, withUpstream } from '../ratelimit.js';
+
+// ── GoDaddy-style adapter ────────────────────────────────────────────────────
+// Bulk availability via POST /v1/domains/available. Prices come back in
+// micro-units of the account currency for the quoted period; there is no
+// per-TLD price sheet, so this adapter doesn't take part in price comparison.
+// GODADDY_API_URL lets the same adapter drive an OTE/sandbox or a compatible reseller API.
+
+const BATCH = 500;
+
+export function parseAvailability(body) {
+  const results       = {};
+  const premiumPrices = {};
+  for (const d of Array.isArray(body?.domains) ? body.domains : []) {
+    const domain = String(d.domain || '').toLowerCase();
+    if (!domain || d.definitive === false) continue;
+    results[domain] = d.available === true;
+  }
+  return { results, premiumPrices };
+}
+
+export default {
+  id:        'godaddy',
+  name:      'GoDaddy',
+  searchUrl: 'https://www.godaddy.com/domainsearch/find?domainToCheck={domain}',
+
+  configured: () => Boolean(process.env.GODADDY_API_KEY && process.env.GODADDY_API_SECRET),
+
+  async checkAvailability(domains) {
+    const base          = process.env.GODADDY_API_URL || 'https://api.godaddy.com';
+    const results       = {};
+    const premiumPrices = {};
+    for (let i = 0; i < domains.length; i += BATCH) {
+      const res = await withUpstream('godaddy', () => fetch(`${base}/v1/domains/available?checkType=FAST`, {
+        method:  'POST',
+        headers: {
+          Authorization:  `sso-key ${process.env.GODADDY_API_KEY}:${process.env.GODADDY_API_SECRET}`,
+          'Content-Type': 'application/json',
+        },
+        body:   JSON.stringify(domains.slice(i, i + BATCH)),
+        signal: AbortSignal.timeout(15000),
+      }));
+      if (res.status === 429) await backOff('godaddy', res.headers.get('retry-after'));
+      if (!res.ok) throw new Error(`GoDaddy availability: ${res.status}`);
+      Object.assign(results, parseAvailability(await res.json()).results);
+    }
+    return { results, premiumPrices };
+  },
+
+  getPricing: null,
+};
@@ -0,0 +1,52 @@
+import namecheap from './namecheap.js';
+import porkbun from './porkbun.js';
+import godaddy from './godaddy.js';
+
+// ── Registrar adapters ───────────────────────────────────────────────────────
+// Every registrar is one adapter module with the same shape:
+//   { id, name, searchUrl: '...{domain}...',
+//     configured(): boolean,
+//     checkAvailability(domains, { clientIp }) → { results, premiumPrices } | null (not supported)
+//     getPricing({ clientIp }) → { tld: { register: { years: usd }, renew, transfer } } | null }
+// Adapters throw on API errors; callers fall through to the next adapter.
+// To add a registrar (Cloudflare, Dynadot, ...), write an adapter and list it
+// here — order is the availability lookup priority.
+
+export const REGISTRARS = [namecheap, godaddy, porkbun];
+
+export function registrarById(id) {
+  return REGISTRARS.find(r => r.id === id) || null;
+}
+
+export function registerUrl(registrar, domain) {
+  return registrar.searchUrl.replace('{domain}', encodeURIComponent(domain));
+}
+
+// Availability from the first configured adapters that answer. Domains an
+// adapter skipped move on to the next one. Returns { results, premiumPrices,
+// sources } for whatever was answered (sources = adapter id per domain).
+export async function registrarAvailability(domains, { clientIp } = {}) {
+  const results       = {};
+  const premiumPrices = {};
+  const sources       = {};
+  let remaining = domains;
+
+  for (const registrar of REGISTRARS) {
+    if (remaining.length === 0) break;
+    if (!registrar.checkAvailability || !registrar.configured()) continue;
+    try {
+      const page = await registrar.checkAvailability(remaining, { clientIp });
+      for (const domain of remaining) {
+        if (!(domain in page.results)) continue;
+        results[domain] = page.results[domain];
+        sources[domain] = registrar.id;
+        if (domain in page.premiumPrices) premiumPrices[domain] = page.premiumPrices[domain];
+      }
+      remaining = remaining.filter(d => !(d in results));
+    } catch (err) {
+      console.warn(`${registrar.name} check failed, falling back:`, err.message);
+    }
+  }
+
+  return { results, premiumPrices, sources };
+}
@@ -0,0 +1,102 @@
+import { withUpstream } from '../ratelimit.js';
+import { findAll, parseXml } from '../xml.js';
+
+// ── Namecheap adapter ────────────────────────────────────────────────────────
+// Availability via namecheap.domains.check (50 per call, reports premium
+// pricing) and the full DOMAINS pricing sheet via namecheap.users.getPricing.
+// The parse* functions are pure so they can be run against recorded XML.
+// Every call goes through withUpstream('namecheap') — Namecheap bans API users
+// that exceed its request rate, whichever instance sends them.
+
+const BATCH     = 50;     // Namecheap accepts up to 50 domains per check call
+const DURATIONS = [1, 2, 5, 10];
+const ACTIONS   = ['register', 'renew', 'transfer'];
+
+const round = n => Math.round(n * 100) / 100;
+
+function apiUrl(command, params, clientIp) {
+  const query = new URLSearchParams({
+    ApiUser:  process.env.NAMECHEAP_API_USER,
+    ApiKey:   process.env.NAMECHEAP_API_KEY,
+    UserName: process.env.NAMECHEAP_API_USER,
+    ClientIp: clientIp,
+    Command:  command,
+    ...params,
+  });
+  return `https://api.namecheap.com/xml.response?${query}`;
+}
+
+function parseOk(xml) {
+  const doc = parseXml(xml);
+  if (doc.attrs.Status !== 'OK') {
+    const reason = findAll(doc, 'Error').map(e => e.text.trim()).filter(Boolean).join('; ');
+    throw new Error(`Namecheap API returned an error${reason ? `: ${reason}` : ''}`);
+  }
+  return doc;
+}
+
+// <DomainCheckResult Domain="..." Available="true" IsPremiumName="true" PremiumRegistrationPrice="..." />
+export function parseCheckResponse(xml) {
+  const results       = {};
+  const premiumPrices = {};
+  for (const { attrs } of findAll(parseOk(xml), 'DomainCheckResult')) {
+    const domain    = attrs.Domain?.toLowerCase();
+    const premPrice = parseFloat(attrs.PremiumRegistrationPrice || '');
+    if (!domain) continue;
+    results[domain] = attrs.Available?.toLowerCase() === 'true';
+    if (attrs.IsPremiumName?.toLowerCase() === 'true' && !isNaN(premPrice)) premiumPrices[domain] = premPrice;
+  }
+  return { results, premiumPrices };
+}
+
+// ProductCategory (register/renew/transfer) > Product (TLD) > Price per
+// duration. Namecheap quotes a per-year price; totals include the ICANN fee.
+export function parsePricingSheet(xml) {
+  const tlds = {};
+  for (const category of findAll(parseOk(xml), 'ProductCategory')) {
+    const action = category.attrs.Name?.toLowerCase();
+    if (!ACTIONS.includes(action)) continue;
+    for (const product of findAll(category, 'Product')) {
+      const tld = product.attrs.Name?.toLowerCase();
+      if (!tld) continue;
+      for (const price of findAll(product, 'Price')) {
+        const years = parseInt(price.attrs.Duration, 10);
+        if (price.attrs.DurationType !== 'YEAR' || !DURATIONS.includes(years)) continue;
+        const perYear = parseFloat(price.attrs.YourPrice || price.attrs.Price) + (parseFloat(price.attrs.AdditionalCost) || 0);
+        if (isNaN(perYear)) continue;
+        tlds[tld] ??= {};
+        tlds[tld][action] ??= {};
+        tlds[tld][action][years] = round(perYear * years);
+      }
+    }
+  }
+  if (Object.keys(tlds).length === 0) throw new Error('Namecheap pricing sheet was empty');
+  return tlds;
+}
+
+export default {
+  id:        'namecheap',
+  name:      'Namecheap',
+  searchUrl: 'https://www.namecheap.com/domains/registration/results/?domain={domain}',
+
+  configured: () => Boolean(process.env.NAMECHEAP_API_USER && process.env.NAMECHEAP_API_KEY),
+
+  async checkAvailability(domains, { clientIp = '127.0.0.1' } = {}) {
+    const results       = {};
+    const premiumPrices = {};
+    for (let i = 0; i < domains.length; i += BATCH) {
+      const res  = await withUpstream('namecheap', () => fetch(apiUrl('namecheap.domains.check', { DomainList: domains.slice(i, i + BATCH).join(',') }, clientIp),
+        { signal: AbortSignal.timeout(15000) }));
+      const page = parseCheckResponse(await res.text());
+      Object.assign(results, page.results);
+      Object.assign(premiumPrices, page.premiumPrices);
+    }
+    return { results, premiumPrices };
+  },
+
+  async getPricing({ clientIp = '0.0.0.0' } = {}) {
+    const res = await withUpstream('namecheap', () => fetch(apiUrl('namecheap.users.getPricing', { ProductType: 'DOMAIN', ProductCategory: 'DOMAINS' }, clientIp),
+      { signal: AbortSignal.timeout(12000) }));
+    return parsePricingSheet(await res.text());
+  },
+};
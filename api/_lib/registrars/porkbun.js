@@ -0,0 +1,41 @@
+// ── Porkbun adapter ──────────────────────────────────────────────────────────
+// Pricing only: Porkbun publishes one flat price per TLD (no key needed).
+// Its availability endpoint is limited to one lookup every few seconds, too
+// slow for batches, so availability stays with the other adapters.
+
+export function parsePricing(body) {
+  if (body?.status !== 'SUCCESS' || !body.pricing) throw new Error('Porkbun pricing returned an error');
+  const tlds = {};
+  for (const [tld, p] of Object.entries(body.pricing)) {
+    const register = parseFloat(p.registration);
+    const renew    = parseFloat(p.renewal);
+    const transfer = parseFloat(p.transfer);
+    if (isNaN(register) || isNaN(renew)) continue;
+    tlds[tld.toLowerCase()] = {
+      register: { 1: register },
+      renew:    { 1: renew },
+      ...(!isNaN(transfer) && { transfer: { 1: transfer } }),
+    };
+  }
+  return tlds;
+}
+
+export default {
+  id:        'porkbun',
+  name:      'Porkbun',
+  searchUrl: 'https://porkbun.com/checkout/search?q={domain}',
+
+  configured: () => process.env.PORKBUN_PRICING !== 'off',
+
+  checkAvailability: null,
+
+  async getPricing() {
+    const res = await fetch('https://api.porkbun.com/api/json/v3/pricing/get', {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    '{}',
+      signal:  AbortSignal.timeout(12000),
+    });
+    return parsePricing(await res.json());
+  },
+};
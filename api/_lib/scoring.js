@@ -0,0 +1,126 @@
+import { domainToUnicode } from 'url';
+import { pronounceabilityIssue } from './quality.js';
+import { WORDS } from './wordlist.js';
+
+// ── Domain scoring ───────────────────────────────────────────────────────────
+// One 0–100 score per domain, shared by /api/score, the `domain` SSE events
+// from /api/suggest and every place the UI sorts. Components (max points):
+//   TLD authority 20 · Availability 18 · Length 14 · Pronounceable 10 ·
+//   Syllables 8 · Spelling clarity 8 · Cleanliness 8 · Keyword clarity 8 ·
+//   Dictionary words 6
+// scoreDomain() also returns the raw signals behind the richer components.
+
+const TLD_POINTS = { '.com': 20, '.io': 16, '.ai': 16, '.co': 13, '.app': 13, '.store': 13, '.dev': 13 };
+
+// Letter patterns a listener can't spell with confidence after hearing the
+// name once: alternative spellings of the same sound and silent letters.
+const AMBIGUOUS = [
+  { re: /ph/,               why: 'ph sounds like f' },
+  { re: /ck|q|(?<!s)c(?=[aou])|k(?=[aou])/, why: 'hard c / k / q' },
+  { re: /(?<![aeiou])x|z(?=$)/, why: 'x / z / s ending' },
+  { re: /([a-z])\1/,        why: 'double letter' },
+  { re: /gh|kn|wr|mb$|ps/,  why: 'silent letter' },
+  { re: /ee|ea|ie|ei|ey$/,  why: 'ee / ea / ie vowel' },
+  { re: /y(?=[^aeiou]|$)/,  why: 'y as a vowel' },
+  { re: /ou|ow/,            why: 'ou / ow' },
+];
+
+// Vowel-group syllable estimate, with the usual silent-e correction.
+export function countSyllables(name) {
+  const word = name.toLowerCase().replace(/[^a-z]/g, '');
+  if (!word) return 0;
+  const groups = word.replace(/(?<!l)e$/, '').match(/[aeiouy]+/g) || [];
+  return Math.max(1, groups.length);
+}
+
+export function spellingAmbiguities(name) {
+  return AMBIGUOUS.filter(a => a.re.test(name)).map(a => a.why);
+}
+
+// Dictionary word, allowing simple plurals ("games", "boxes").
+function isWord(w) {
+  return WORDS.has(w) || (w.endsWith('s') && WORDS.has(w.slice(0, -1))) || (w.endsWith('es') && WORDS.has(w.slice(0, -2)));
+}
+
+// Split into dictionary words (3+ letters, or the whole name) using as few
+// words as possible. Returns the words, or null if the name is coined.
+export function segmentWords(text) {
+  if (isWord(text)) return [text];
+  const best = Array(text.length + 1).fill(null);
+  best[0] = [];
+  for (let i = 1; i <= text.length; i++) {
+    for (let j = Math.max(0, i - 12); j <= i - 3; j++) {
+      const word = text.slice(j, i);
+      if (best[j] && isWord(word) && (!best[i] || best[j].length + 1 < best[i].length)) {
+        best[i] = [...best[j], word];
+      }
+    }
+  }
+  return best[text.length];
+}
+
+// "delicio.us", "brew.co" — the name plus its TLD reads as one word (or a
+// compound whose last word runs across the dot).
+export function detectTldHack(name, tld) {
+  const ext = tld.replace(/^\./, '');
+  if (ext.includes('.') || ext.length < 2) return null;
+  const joined = name + ext;
+  if (isWord(joined)) return joined;
+  const words = segmentWords(joined);
+  if (!words) return null;
+  // The hack only counts if a word straddles the dot
+  let at = 0;
+  for (const w of words) {
+    if (at < name.length && at + w.length > name.length) return words.join(' ');
+    at += w.length;
+  }
+  return null;
+}
+
+// domain: { name, tld, style? }; available: true | false | null.
+// Returns { score, breakdown: [{ key, label, pts, max }], signals }.
+// IDNs (punycode) are scored on their Unicode form, like the quality gate:
+// accents are ignored for the letter checks, and names in other scripts get
+// the middle score for pronounceability, syllables and spelling.
+export function scoreDomain({ name, tld, style }, { available = null } = {}) {
+  const ascii     = String(name).toLowerCase();
+  const n         = ascii.startsWith('xn--') ? domainToUnicode(ascii) || ascii : ascii;
+  const latin     = n.normalize('NFD').replace(/\p{M}/gu, '');
+  const isLatin   = /^[a-z0-9-]+$/.test(latin);
+  const letters   = latin.replace(/[^a-z]/g, '');
+  const breakdown = [];
+  const add       = (key, label, pts, max) => breakdown.push({ key, label, pts, max });
+
+  const tldHack = isLatin ? detectTldHack(latin, tld) : null;
+  add('tld', 'TLD authority', tldHack ? Math.max(TLD_POINTS[tld] ?? 8, 16) : TLD_POINTS[tld] ?? 8, 20);
+
+  add('availability', 'Availability', available === true ? 18 : available === false ? 0 : 7, 18);
+
+  const len = [...n].length;
+  add('length', 'Length', len <= 7 ? 14 : len <= 10 ? 11 : len <= 13 ? 7 : 3, 14);
+
+  const vowelRatio = isLatin ? (letters.match(/[aeiou]/g) || []).length / Math.max(1, letters.length) : null;
+  add('pronounceable', 'Pronounceable', !isLatin ? 7 : pronounceabilityIssue(letters) ? 4 : 10, 10);
+
+  const syllables = isLatin ? countSyllables(letters) : null;
+  add('syllables', 'Syllables', !isLatin ? 5 : syllables === 2 || syllables === 3 ? 8 : syllables === 1 || syllables === 4 ? 5 : 2, 8);
+
+  const ambiguities = isLatin ? spellingAmbiguities(letters) : [];
+  add('spelling', 'Spelling clarity', !isLatin ? 5 : ambiguities.length === 0 ? 8 : ambiguities.length === 1 ? 5 : 2, 8);
+
+  const hasHyphen = n.includes('-');
+  const hasNumber = /\d/.test(n);
+  add('clean', 'Cleanliness', !hasHyphen && !hasNumber ? 8 : hasHyphen && hasNumber ? 0 : 4, 8);
+
+  add('keyword', 'Keyword clarity', style === 'keyword' ? 8 : style === 'hybrid' ? 5 : 3, 8);
+
+  // Real words are easy to remember and spell; a single word beats a compound
+  const words = isLatin ? segmentWords(letters) : null;
+  add('dictionary', 'Dictionary words', !words ? 2 : words.length === 1 ? 6 : words.length === 2 ? 5 : 3, 6);
+
+  return {
+    score:   breakdown.reduce((sum, r) => sum + r.pts, 0),
+    breakdown,
+    signals: { syllables, ambiguities, dictionaryWords: words || [], tldHack, vowelRatio: vowelRatio === null ? null : Math.round(vowelRatio * 100) / 100 },
+  };
+}
@@ -0,0 +1,199 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { redisCommand } from './redis.js';
+
+// ── Shortlists ───────────────────────────────────────────────────────────────
+// shortlist:{id}          string  shortlist record, without its items (JSON)
+// shortlist:{id}:items    hash    domain → item (JSON, without note and votes)
+// shortlist:{id}:notes    hash    domain → note
+// shortlist:{id}:votes    hash    "{domain} {userId}" → 1 | -1
+// shortlist:{id}:updated  string  time of the last item, note or vote change
+// shortlists:{userId}     set     ids the user owns or was invited to
+// sharetoken:{token}      string  shortlist id for a read-only share link
+//
+// Items, notes and votes are single hash fields, so teammates editing the
+// same list at once never overwrite each other's changes. The record only
+// changes on rename, membership and sharing.
+//
+// getShortlist() shape:
+// { id, ownerId, name, members: [userId], memberEmails: { userId: email },
+//   shareToken, createdAt, updatedAt,
+//   items: [{ domain, name, tld, style, rationale, note, addedBy, addedAt,
+//             votes: { userId: 1 | -1 } }] }
+
+export const MAX_SHORTLISTS = 20;   // per user
+export const MAX_ITEMS      = 100;  // per shortlist
+export const MAX_NOTE       = 500;  // characters
+
+function parseJson(value) {
+  try { return value ? JSON.parse(value) : null; } catch { return null; }
+}
+
+// Upstash returns HGETALL as a flat [field, value, ...] list.
+function hashEntries(flat) {
+  const entries = [];
+  for (let i = 0; i < (flat || []).length; i += 2) entries.push([flat[i], flat[i + 1]]);
+  return entries;
+}
+
+const voteField = (domain, userId) => `${domain} ${userId}`;
+
+async function touch(id) {
+  await redisCommand('SET', `shortlist:${id}:updated`, new Date().toISOString());
+}
+
+export async function getShortlist(id) {
+  const [raw, updated] = (await redisCommand('MGET', `shortlist:${id}`, `shortlist:${id}:updated`)) || [];
+  const record = parseJson(raw);
+  if (!record) return null;
+
+  const [items, notes, votes] = await Promise.all(['items', 'notes', 'votes']
+    .map(kind => redisCommand('HGETALL', `shortlist:${id}:${kind}`).then(hashEntries)));
+  const noteFor  = new Map(notes);
+  const votesFor = new Map();
+  for (const [field, vote] of votes) {
+    const [domain, userId] = field.split(' ');
+    if (!votesFor.has(domain)) votesFor.set(domain, {});
+    votesFor.get(domain)[userId] = Number(vote);
+  }
+
+  return {
+    ...record,
+    updatedAt: updated && updated > record.updatedAt ? updated : record.updatedAt,
+    items: items
+      .map(([domain, json]) => ({ ...parseJson(json), note: noteFor.get(domain) || '', votes: votesFor.get(domain) || {} }))
+      .sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || '')),
+  };
+}
+
+// Writes the record; items are left to the item helpers below.
+export async function saveShortlist(list) {
+  const { items, ...record } = list;
+  list.updatedAt = record.updatedAt = new Date().toISOString();
+  await redisCommand('SET', `shortlist:${list.id}`, JSON.stringify(record));
+  return list;
+}
+
+// ── Items, notes and votes ───────────────────────────────────────────────────
+// Each write touches only its own hash field.
+
+// Returns 'added', 'listed' (already there) or 'full'.
+export async function addItem(list, { note = '', ...item }) {
+  const added = await redisCommand('HSETNX', `shortlist:${list.id}:items`, item.domain, JSON.stringify(item));
+  if (Number(added) !== 1) return 'listed';
+  // Another teammate may have filled the last slot at the same moment
+  if (Number(await redisCommand('HLEN', `shortlist:${list.id}:items`)) > MAX_ITEMS) {
+    await redisCommand('HDEL', `shortlist:${list.id}:items`, item.domain);
+    return 'full';
+  }
+  await setNote(list, item.domain, note);
+  return 'added';
+}
+
+export async function removeItem(list, domain) {
+  const removed = await redisCommand('HDEL', `shortlist:${list.id}:items`, domain);
+  await redisCommand('HDEL', `shortlist:${list.id}:notes`, domain);
+  const voters = hashEntries(await redisCommand('HGETALL', `shortlist:${list.id}:votes`))
+    .map(([field]) => field)
+    .filter(field => field.startsWith(`${domain} `));
+  if (voters.length) await redisCommand('HDEL', `shortlist:${list.id}:votes`, ...voters);
+  await touch(list.id);
+  return Number(removed) === 1;
+}
+
+export async function setNote(list, domain, note) {
+  if (note) await redisCommand('HSET', `shortlist:${list.id}:notes`, domain, note);
+  else      await redisCommand('HDEL', `shortlist:${list.id}:notes`, domain);
+  await touch(list.id);
+}
+
+// vote: 1 | -1, or 0 to withdraw
+export async function setVote(list, domain, userId, vote) {
+  if (vote) await redisCommand('HSET', `shortlist:${list.id}:votes`, voteField(domain, userId), vote);
+  else      await redisCommand('HDEL', `shortlist:${list.id}:votes`, voteField(domain, userId));
+  await touch(list.id);
+}
+
+export function canEdit(list, userId) {
+  return list.ownerId === userId || list.members.includes(userId);
+}
+
+export async function listShortlists(userId) {
+  const ids   = (await redisCommand('SMEMBERS', `shortlists:${userId}`)) || [];
+  const lists = await Promise.all(ids.map(getShortlist));
+  return lists
+    .filter(l => l && canEdit(l, userId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function countShortlists(userId) {
+  return parseInt(await redisCommand('SCARD', `shortlists:${userId}`) || '0', 10);
+}
+
+export async function createShortlist(userId, name) {
+  const now  = new Date().toISOString();
+  const list = { id: randomUUID(), ownerId: userId, name, members: [], memberEmails: {}, shareToken: null, items: [], createdAt: now, updatedAt: now };
+  await saveShortlist(list);
+  await redisCommand('SADD', `shortlists:${userId}`, list.id);
+  return list;
+}
+
+export async function deleteShortlist(list) {
+  for (const userId of [list.ownerId, ...list.members]) {
+    await redisCommand('SREM', `shortlists:${userId}`, list.id);
+  }
+  if (list.shareToken) await redisCommand('DEL', `sharetoken:${list.shareToken}`);
+  await redisCommand('DEL', `shortlist:${list.id}`, `shortlist:${list.id}:items`, `shortlist:${list.id}:notes`,
+    `shortlist:${list.id}:votes`, `shortlist:${list.id}:updated`);
+}
+
+export async function addMember(list, userId, email = null) {
+  if (userId !== list.ownerId && !list.members.includes(userId)) list.members.push(userId);
+  if (email) list.memberEmails = { ...list.memberEmails, [userId]: email };
+  await redisCommand('SADD', `shortlists:${userId}`, list.id);
+  return saveShortlist(list);
+}
+
+export async function removeMember(list, userId) {
+  list.members = list.members.filter(m => m !== userId);
+  if (list.memberEmails) delete list.memberEmails[userId];
+  await redisCommand('SREM', `shortlists:${userId}`, list.id);
+  return saveShortlist(list);
+}
+
+// Create (or rotate) the read-only share token; enabled=false revokes it.
+export async function setShareToken(list, enabled) {
+  if (list.shareToken) await redisCommand('DEL', `sharetoken:${list.shareToken}`);
+  list.shareToken = enabled ? randomBytes(16).toString('base64url') : null;
+  if (list.shareToken) await redisCommand('SET', `sharetoken:${list.shareToken}`, list.id);
+  return saveShortlist(list);
+}
+
+export async function getSharedShortlist(token) {
+  const id = await redisCommand('GET', `sharetoken:${token}`);
+  if (!id) return null;
+  const list = await getShortlist(id);
+  return list && list.shareToken === token ? list : null;
+}
+
+// Net score and the caller's own vote, for display.
+export function tallyVotes(item, userId) {
+  const votes = Object.values(item.votes || {});
+  return {
+    score:  votes.reduce((sum, v) => sum + v, 0),
+    up:     votes.filter(v => v > 0).length,
+    down:   votes.filter(v => v < 0).length,
+    myVote: userId ? (item.votes?.[userId] || 0) : 0,
+  };
+}
+
+// Strip member ids and raw votes for the public read-only view.
+export function publicView(list) {
+  return {
+    name:      list.name,
+    updatedAt: list.updatedAt,
+    items:     list.items.map(({ votes, addedBy, ...item }) => {
+      const { score, up, down } = tallyVotes({ votes }, null);
+      return { ...item, score, up, down };
+    }),
+  };
+}
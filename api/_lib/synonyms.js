@@ -0,0 +1,101 @@
+// ── Bundled synonym list ─────────────────────────────────────────────────────
+// Related words for common business concepts, used by the name generator
+// (generator.js) to widen a description's keywords. Short, brandable words
+// only — each line is "concept: related related ...". Lookups are one-way.
+
+const LINES = `
+ai: mind brain logic neural smart sense
+analytics: insight metric signal lens scope
+art: canvas craft studio palette muse
+baby: cradle nest bloom sprout
+bank: vault ledger coin fund mint
+beauty: glow bloom grace radiant velvet
+bike: pedal wheel spoke ride
+book: page chapter story verse tome
+build: forge craft make frame
+cafe: brew bean roast cup
+car: drive motor wheel auto ride
+care: tend nurture kind heal
+chat: talk voice echo chatter
+clean: fresh pure spark shine
+cloud: sky nimbus stratus air
+coach: mentor guide train lead
+code: byte logic script stack
+coffee: brew bean roast mocha crema
+community: tribe circle hive guild village
+cook: chef kitchen feast spice
+data: byte signal metric atlas
+delivery: dash courier route drop
+design: craft form pixel canvas
+dog: pup paw bark fetch
+education: learn tutor school scholar
+energy: volt spark power surge ember
+event: gala fest venue party
+farm: field harvest acre grove sprout
+fashion: style thread stitch vogue
+finance: coin ledger fund capital mint
+fitness: fit pulse stride core strong
+flower: bloom petal blossom posy
+food: feast plate dish taste
+game: play quest arena level
+garden: grove bloom sprout leaf
+green: leaf moss fern sage
+health: vital pulse well heal
+home: nest hearth haven dwell
+hotel: stay inn lodge haven
+idea: spark notion muse vision
+insurance: shield cover guard safe
+invest: capital yield fund asset
+job: work hire career role
+kid: sprout tot play young
+language: word voice lingo speak
+law: legal counsel verdict brief
+learn: study tutor scholar sage
+light: beam glow lumen ray
+local: village corner nearby town
+love: heart amor adore cherish
+marketing: brand buzz reach signal
+meal: dish plate feast bite
+media: story channel stream broadcast
+medical: clinic care heal remedy
+money: coin cash mint penny
+music: tune chord melody rhythm beat
+news: wire herald bulletin report
+ocean: wave tide coral reef
+pet: paw furry whisker pup
+photo: lens snap frame pixel
+plan: map chart route blueprint
+plant: leaf sprout fern root
+real: true honest genuine solid
+recipe: dish flavor spice kitchen
+rent: lease stay borrow dwell
+sale: deal offer bargain trade
+school: class campus tutor learn
+security: shield guard lock vault
+shop: store market stall boutique
+skin: glow derma dew velvet
+sleep: dream rest slumber nap
+social: circle tribe share crowd
+software: code stack logic byte
+sport: play match arena team
+startup: launch venture spark rocket
+store: shop market stall depot
+tea: leaf brew steep chai
+tech: byte pixel circuit logic
+travel: voyage journey roam trek wander
+trip: voyage journey roam trek
+vegan: leaf sprout green plant
+video: frame clip reel stream
+water: aqua wave flow spring
+wedding: vow ring bride union
+wellness: calm zen balance vital
+wine: vine cellar grape vintage
+work: task craft labor desk
+write: ink quill verse pen
+yoga: zen lotus flow breath
+`;
+
+export const SYNONYMS = new Map(LINES.trim().split('\n').map(line => {
+  const [concept, related] = line.split(':');
+  return [concept.trim(), related.trim().split(/\s+/)];
+}));
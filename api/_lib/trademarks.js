@@ -0,0 +1,63 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { editDist } from './quality.js';
+
+// ── Trademark / company-name screening ───────────────────────────────────────
+// Screens a name against a local list of registered marks and company names.
+// The bundled data/trademarks.txt covers well-known brands; point
+// TRADEMARK_DATASET at a larger export (one mark per line, '#' comments,
+// optional "mark,owner" CSV) to screen against a fuller register.
+// Pass `dataset` (an array of marks) to screenTrademarks() to test with stubs.
+
+const DEFAULT_DATASET = path.join(process.cwd(), 'data', 'trademarks.txt');
+
+let _marks = null;
+
+function normalise(mark) {
+  return String(mark).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseDataset(text) {
+  const marks = new Map(); // normalised → display form
+  for (const line of text.split(/\r?\n/)) {
+    const raw = line.split('#')[0].split(',')[0].trim();
+    const key = normalise(raw);
+    if (key.length >= 3 && !marks.has(key)) marks.set(key, raw);
+  }
+  return marks;
+}
+
+export async function loadTrademarks(file = process.env.TRADEMARK_DATASET || DEFAULT_DATASET) {
+  if (_marks) return _marks;
+  try {
+    _marks = parseDataset(await readFile(file, 'utf8'));
+  } catch (err) {
+    console.warn('Trademark dataset unavailable:', err.message);
+    _marks = new Map();
+  }
+  return _marks;
+}
+
+// Edit distance that still counts as a likely collision: very short names
+// only collide exactly, otherwise one edit ("spotifi" vs "spotify"), two for long names.
+function fuzzyLimit(length) {
+  return length <= 4 ? 0 : length <= 7 ? 1 : 2;
+}
+
+// Returns { conflicts: [{ mark, match: 'exact' | 'fuzzy', distance }] },
+// closest first and capped at 3.
+export async function screenTrademarks(name, { dataset } = {}) {
+  const marks = dataset ? parseDataset(dataset.join('\n')) : await loadTrademarks();
+  const n     = normalise(name);
+  const limit = fuzzyLimit(n.length);
+  const conflicts = [];
+
+  for (const [key, mark] of marks) {
+    if (key === n) { conflicts.push({ mark, match: 'exact', distance: 0 }); continue; }
+    if (limit === 0 || Math.abs(key.length - n.length) > limit) continue;
+    const distance = editDist(n, key);
+    if (distance <= limit) conflicts.push({ mark, match: 'fuzzy', distance });
+  }
+
+  return { conflicts: conflicts.sort((a, b) => a.distance - b.distance).slice(0, 3) };
+}
@@ -0,0 +1,104 @@
+import { redisCommand, redisGet } from './redis.js';
+
+// ── Credits and usage ────────────────────────────────────────────────────────
+// Ledgers are per account — a user id, or `team:{teamId}` for a shared team
+// pool (see accounts.js). Limits come from the account's plan (plans.js).
+// usage:{accountId}:{YYYY-MM}      string  consultations run this month (UTC)
+// credits:{accountId}              string  purchased pack credits left (never expire)
+// bulkusage:{accountId}:{YYYY-MM}  string  domains bulk-checked this month
+// Monthly counters outlive their month by a few days.
+
+const USAGE_TTL = 3_024_000; // 35 days
+
+// Charge one consultation: from the monthly allowance while it lasts, then
+// from pack credits. Returns 1 (allowance), 2 (pack) or 0 (nothing left).
+const DEBIT_SCRIPT = `
+local used  = tonumber(redis.call('GET', KEYS[1]) or '0')
+local limit = tonumber(ARGV[1])
+local from  = 0
+if limit < 0 or used < limit then
+  from = 1
+elseif tonumber(redis.call('GET', KEYS[2]) or '0') > 0 then
+  redis.call('DECR', KEYS[2])
+  from = 2
+end
+if from > 0 then
+  redis.call('INCR', KEYS[1])
+  redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return from`;
+
+// Count `n` domains against the bulk quota unless that would exceed it.
+// Returns the quota left afterwards, or -1 (nothing counted) when over.
+const RESERVE_SCRIPT = `
+local used  = tonumber(redis.call('GET', KEYS[1]) or '0')
+local limit = tonumber(ARGV[1])
+local n     = tonumber(ARGV[2])
+if used + n > limit then return -1 end
+redis.call('INCRBY', KEYS[1], n)
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+return limit - used - n`;
+
+export function usageMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// First instant of next month (UTC), when monthly allowances reset.
+export function usageResetsAt(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString();
+}
+
+function usageKey(accountId) {
+  return `usage:${accountId}:${usageMonth()}`;
+}
+
+// { used, monthly, packs, remaining } — monthly and remaining are null when
+// the plan is unlimited.
+export async function getCredits(accountId, limits) {
+  const [used, packs] = await Promise.all([
+    redisGet(usageKey(accountId)),
+    redisGet(`credits:${accountId}`),
+  ]);
+  const u       = parseInt(used  || '0', 10);
+  const p       = parseInt(packs || '0', 10);
+  const monthly = limits.monthlyCredits;
+  return {
+    used:      u,
+    monthly,
+    packs:     p,
+    remaining: monthly === null ? null : Math.max(0, monthly - u) + p,
+  };
+}
+
+// Debit one consultation atomically, at run completion. Unlimited plans are
+// still counted so the account page can show usage.
+// Returns 'monthly' | 'pack' | null (no credit left — a concurrent run won the race).
+export async function debitCredit(accountId, limits) {
+  const from = await redisCommand('EVAL', DEBIT_SCRIPT, 2, usageKey(accountId), `credits:${accountId}`,
+    limits.monthlyCredits ?? -1, USAGE_TTL);
+  return from === 1 ? 'monthly' : from === 2 ? 'pack' : null;
+}
+
+export async function addCredits(accountId, credits) {
+  await redisCommand('INCRBY', `credits:${accountId}`, credits);
+}
+
+export async function getBulkUsage(accountId) {
+  return parseInt(await redisGet(`bulkusage:${accountId}:${usageMonth()}`) || '0', 10);
+}
+
+// Reserve `count` domains of this month's bulk quota.
+// Returns { allowed, remaining }. With Redis unreachable the check is skipped.
+export async function reserveBulk(accountId, limits, count) {
+  const left = await redisCommand('EVAL', RESERVE_SCRIPT, 1, `bulkusage:${accountId}:${usageMonth()}`,
+    limits.bulkDomains, count, USAGE_TTL);
+  if (left === null) return { allowed: true, remaining: null };
+  return left < 0
+    ? { allowed: false, remaining: Math.max(0, limits.bulkDomains - await getBulkUsage(accountId)) }
+    : { allowed: true, remaining: left };
+}
+
+// Give back reserved domains a run didn't get to.
+export async function refundBulk(accountId, count) {
+  if (count > 0) await redisCommand('DECRBY', `bulkusage:${accountId}:${usageMonth()}`, count);
+}
@@ -0,0 +1,237 @@
+import { lookup as connectLookup } from 'dns';
+import { lookup as dnsLookup } from 'dns/promises';
+import { request } from 'https';
+import { isIP } from 'net';
+import { redisCommand } from './redis.js';
+
+// ── Domain watchlist storage ─────────────────────────────────────────────────
+// watch:{userId}      hash   domain → { addedAt }
+// watchers:{domain}   set    userIds watching the domain
+// watch:domains       set    every watched domain (what the cron walks)
+// watchstate:{domain} string last known status + transition history (JSON)
+// notify:{userId}     list   newest-first notification feed (JSON entries)
+// notifyhook:{userId} string optional webhook URL for notifications
+
+export const MAX_WATCHED   = 50;   // per user
+const MAX_HISTORY          = 20;   // transitions kept per domain
+const MAX_NOTIFICATIONS    = 100;  // feed entries kept per user
+
+// Collapse a liveCheck/checkDomain result into a watch status.
+// Lifecycle: taken → expired → redemption → pendingDelete → available.
+export function watchStatus({ available, details }) {
+  if (available === true)  return 'available';
+  if (available === null)  return 'unknown';
+  const statuses = details?.statuses || [];
+  if (statuses.includes('pending delete'))    return 'pendingDelete';
+  if (statuses.includes('redemption period') ||
+      statuses.includes('pending restore'))   return 'redemption';
+  if (details?.expiresAt && Date.parse(details.expiresAt) < Date.now()) return 'expired';
+  return 'taken';
+}
+
+function parseJson(value, fallback = null) {
+  try { return value ? JSON.parse(value) : fallback; } catch { return fallback; }
+}
+
+export async function getWatchState(domain) {
+  return parseJson(await redisCommand('GET', `watchstate:${domain}`));
+}
+
+// Store the latest check for a domain. Returns { from, to } when the status
+// changed, null otherwise. Unknown results never overwrite a known status.
+export async function recordWatchState(domain, check) {
+  const status = watchStatus(check);
+  const prev   = await getWatchState(domain);
+  const now    = new Date().toISOString();
+
+  if (status === 'unknown' && prev) {
+    await redisCommand('SET', `watchstate:${domain}`, JSON.stringify({ ...prev, checkedAt: now }));
+    return null;
+  }
+
+  const changed = prev && prev.status !== status;
+  const history = prev?.history || [];
+  if (changed) history.unshift({ from: prev.status, to: status, at: now });
+
+  await redisCommand('SET', `watchstate:${domain}`, JSON.stringify({
+    status,
+    expiresAt: check.details?.expiresAt ?? null,
+    registrar: check.details?.registrar?.name ?? null,
+    checkedAt: now,
+    changedAt: changed ? now : (prev?.changedAt ?? now),
+    history:   history.slice(0, MAX_HISTORY),
+  }));
+
+  return changed ? { from: prev.status, to: status } : null;
+}
+
+// ── Per-user watchlist ───────────────────────────────────────────────────────
+
+export async function listWatched(userId) {
+  const flat = (await redisCommand('HGETALL', `watch:${userId}`)) || [];
+  const rows = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    rows.push({ domain: flat[i], ...parseJson(flat[i + 1], {}) });
+  }
+  const states = await Promise.all(rows.map(r => getWatchState(r.domain)));
+  return rows
+    .map((r, i) => ({ ...r, ...(states[i] || { status: 'unknown' }) }))
+    .sort((a, b) => (b.addedAt || '').localeCompare(a.addedAt || ''));
+}
+
+export async function countWatched(userId) {
+  return parseInt(await redisCommand('HLEN', `watch:${userId}`) || '0', 10);
+}
+
+export async function addWatched(userId, domain) {
+  await redisCommand('HSET', `watch:${userId}`, domain, JSON.stringify({ addedAt: new Date().toISOString() }));
+  await redisCommand('SADD', `watchers:${domain}`, userId);
+  await redisCommand('SADD', 'watch:domains', domain);
+}
+
+export async function removeWatched(userId, domain) {
+  const removed = await redisCommand('HDEL', `watch:${userId}`, domain);
+  await redisCommand('SREM', `watchers:${domain}`, userId);
+  const left = parseInt(await redisCommand('SCARD', `watchers:${domain}`) || '0', 10);
+  if (left === 0) {
+    await redisCommand('SREM', 'watch:domains', domain);
+    await redisCommand('DEL',  `watchstate:${domain}`);
+  }
+  return removed === 1 || removed === '1';
+}
+
+export async function getWatchers(domain) {
+  return (await redisCommand('SMEMBERS', `watchers:${domain}`)) || [];
+}
+
+export async function getAllWatchedDomains() {
+  return (await redisCommand('SMEMBERS', 'watch:domains')) || [];
+}
+
+// ── Notifications ────────────────────────────────────────────────────────────
+
+export async function listNotifications(userId, limit = 50) {
+  const rows = (await redisCommand('LRANGE', `notify:${userId}`, 0, limit - 1)) || [];
+  return rows.map(r => parseJson(r)).filter(Boolean);
+}
+
+export async function getWebhookUrl(userId) {
+  return redisCommand('GET', `notifyhook:${userId}`);
+}
+
+export async function setWebhookUrl(userId, url) {
+  if (url) await redisCommand('SET', `notifyhook:${userId}`, url);
+  else     await redisCommand('DEL', `notifyhook:${userId}`);
+}
+
+// ── Webhook targets ──────────────────────────────────────────────────────────
+// The cron POSTs to user-supplied URLs from inside our network, so a hook
+// must be a public https host: no localhost, no IP literals, and no name
+// resolving to a private, loopback or link-local address. Checked when the
+// URL is saved, and again on delivery by the socket's own DNS lookup, so a
+// name rebound to an internal address after the check can't be reached.
+
+const BLOCKED_HOST = /(^|\.)(localhost|local|internal|localdomain|home\.arpa)$/;
+
+// [base, prefix bits] — loopback, private, CGNAT, link-local, benchmarking,
+// multicast and reserved ranges
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+];
+
+function v4ToInt(ip) {
+  return ip.split('.').reduce((n, octet) => n * 256 + Number(octet), 0);
+}
+
+// True for addresses a webhook may never reach.
+export function isPrivateAddress(ip) {
+  if (isIP(ip) === 4) {
+    const n = v4ToInt(ip);
+    return PRIVATE_V4.some(([base, bits]) => Math.floor(n / 2 ** (32 - bits)) === Math.floor(v4ToInt(base) / 2 ** (32 - bits)));
+  }
+  const v6 = ip.toLowerCase();
+  const mapped = v6.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return v6 === '::' || v6 === '::1' ||
+    /^f[cd]/.test(v6) ||            // fc00::/7 unique local
+    /^fe[89ab]/.test(v6) ||         // fe80::/10 link-local
+    /^ff/.test(v6) ||               // multicast
+    /^::ffff:/.test(v6);            // other v4-mapped forms
+}
+
+// Returns an error message, or null when `raw` may be used as a webhook.
+// opts.lookup replaces DNS resolution (dns.promises.lookup signature).
+export async function webhookUrlError(raw, { lookup = dnsLookup } = {}) {
+  let url;
+  try { url = new URL(raw); } catch { url = null; }
+  if (!url || url.protocol !== 'https:') return 'Webhook URL must be a valid https:// URL';
+  if (url.username || url.password)      return 'Webhook URL must not contain credentials';
+
+  const host = url.hostname.toLowerCase().replace(/\.$/, '');
+  if (isIP(host.replace(/^\[|\]$/g, ''))) return 'Webhook URL must use a host name, not an IP address';
+  if (!host.includes('.') || BLOCKED_HOST.test(host)) return 'Webhook URL must be a public host';
+
+  let addresses;
+  try { addresses = await lookup(host, { all: true }); } catch { addresses = []; }
+  if (addresses.length === 0) return `Webhook host ${host} does not resolve`;
+  if (addresses.some(a => isPrivateAddress(a.address))) return 'Webhook URL must be a public host';
+  return null;
+}
+
+// dns.lookup() for webhook sockets that fails on private addresses. `resolve`
+// replaces dns.lookup (same callback signature).
+export function publicLookup(resolve = connectLookup) {
+  return (hostname, options, callback) => {
+    resolve(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+      if (addresses.some(a => isPrivateAddress(a))) {
+        return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDR' }));
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+// POST a JSON payload to a webhook URL. Redirects aren't followed; any reply
+// other than 2xx rejects. opts.resolve as for publicLookup().
+export function postWebhook(url, payload, { resolve, timeout = 5000 } = {}) {
+  const body = JSON.stringify(payload);
+  return new Promise((resolved, reject) => {
+    const req = request(url, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+      lookup:  publicLookup(resolve),
+      timeout,
+    }, res => {
+      res.resume();
+      res.on('end', () => res.statusCode >= 200 && res.statusCode < 300
+        ? resolved(res.statusCode)
+        : reject(new Error(`HTTP ${res.statusCode}`)));
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Append to the user's feed and fire their webhook (best effort).
+export async function notify(userId, notification) {
+  const entry = { id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, at: new Date().toISOString(), ...notification };
+  await redisCommand('LPUSH', `notify:${userId}`, JSON.stringify(entry));
+  await redisCommand('LTRIM', `notify:${userId}`, 0, MAX_NOTIFICATIONS - 1);
+
+  const hook = await getWebhookUrl(userId);
+  if (hook) {
+    try {
+      const blocked = await webhookUrlError(hook);
+      if (blocked) throw new Error(blocked);
+      await postWebhook(hook, entry);
+    } catch (err) {
+      console.warn('Watchlist webhook failed:', err.message);
+    }
+  }
+  return entry;
+}
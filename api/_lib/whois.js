@@ -0,0 +1,105 @@
+import { connect } from 'net';
+import { backOff, withUpstream } from './ratelimit.js';
+
+// ── WHOIS (port 43) client ───────────────────────────────────────────────────
+// Fallback for TLDs the IANA RDAP bootstrap doesn't cover (.eu, .asia, many
+// ccTLDs). Registries don't agree on a response format, so each server gets a
+// "no match" pattern; anything else that looks like a record counts as taken.
+// Returns true (available), false (taken) or null (unknown) like rdapCheck.
+
+// Per-TLD servers. `available` matches the registry's "not registered" reply;
+// `query` rewrites the request line for servers that need extra flags.
+const WHOIS_SERVERS = {
+  'eu':    { server: 'whois.eu',           available: /Status:\s*AVAILABLE/i },
+  'asia':  { server: 'whois.nic.asia',     available: /^\s*(NOT FOUND|No Data Found)/im },
+  'uk':    { server: 'whois.nic.uk',       available: /No match for/i },
+  'co.uk': { server: 'whois.nic.uk',       available: /No match for/i },
+  'de':    { server: 'whois.denic.de',     available: /Status:\s*free/i, query: d => `-T dn ${d}` },
+  'ch':    { server: 'whois.nic.ch',       available: /do not have an entry/i },
+  'jp':    { server: 'whois.jprs.jp',      available: /No match!!/i, query: d => `${d}/e` },
+  'cn':    { server: 'whois.cnnic.cn',     available: /No matching record/i },
+  'hk':    { server: 'whois.hkirc.hk',     available: /has not been registered/i },
+  'sg':    { server: 'whois.sgnic.sg',     available: /Domain Not Found/i },
+  'in':    { server: 'whois.registry.in',  available: /No Data Found/i },
+  'es':    { server: 'whois.nic.es',       available: /no match/i },
+  'it':    { server: 'whois.nic.it',       available: /Status:\s*AVAILABLE/i },
+  'nl':    { server: 'whois.domain-registry.nl', available: /is free/i },
+};
+
+// Generic "not found" replies used when a TLD has no explicit pattern
+const NO_MATCH_PATTERNS = [
+  /No match for/i,
+  /NOT FOUND/i,
+  /No Data Found/i,
+  /No entries found/i,
+  /Status:\s*(AVAILABLE|free)/i,
+  /is available for registration/i,
+  /Domain not found/i,
+];
+
+// Throttling replies — the answer says nothing about availability
+const RATE_LIMIT_PATTERNS = [
+  /limit exceeded/i,
+  /too many (queries|requests)/i,
+  /try again later/i,
+  /access denied/i,
+];
+
+const WHOIS_TIMEOUT = 8000;
+
+// Referral servers discovered via whois.iana.org, cached per instance
+const _referrals = {};
+
+// Send one query line to a WHOIS server and resolve with the full response.
+export function whoisQuery(server, query, { port = 43, timeout = WHOIS_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const socket = connect({ host: server, port });
+    socket.setTimeout(timeout);
+    socket.on('connect', () => socket.write(`${query}\r\n`));
+    socket.on('data',    chunk => chunks.push(chunk));
+    socket.on('end',     () => resolve(Buffer.concat(chunks).toString('utf8')));
+    socket.on('timeout', () => { socket.destroy(); reject(new Error(`WHOIS timeout: ${server}`)); });
+    socket.on('error',   reject);
+  });
+}
+
+// Find the server entry for a domain, trying the full suffix first
+// (co.uk) and then the last label (uk).
+export function whoisServerFor(domain) {
+  const suffix = domain.slice(domain.indexOf('.') + 1);
+  const last   = domain.slice(domain.lastIndexOf('.') + 1);
+  return WHOIS_SERVERS[suffix] || WHOIS_SERVERS[last] || null;
+}
+
+async function discoverServer(tld) {
+  if (tld in _referrals) return _referrals[tld];
+  const text  = await whoisQuery('whois.iana.org', tld);
+  const refer = (text.match(/^\s*(?:refer|whois):\s*(\S+)/im) || [])[1] || null;
+  _referrals[tld] = refer ? { server: refer } : null;
+  return _referrals[tld];
+}
+
+// Interpret a raw WHOIS response. Exported so callers can reuse the
+// pattern matching on responses fetched elsewhere.
+export function parseWhoisResponse(text, entry = {}) {
+  if (!text || !text.trim()) return null;
+  if (RATE_LIMIT_PATTERNS.some(p => p.test(text))) return null;
+  if (entry.available?.test(text)) return true;
+  if (!entry.available && NO_MATCH_PATTERNS.some(p => p.test(text))) return true;
+  return /Domain( Name)?:|Registrar:|Registrant|Status:|created|Creation Date/i.test(text) ? false : null;
+}
+
+// opts.server / opts.port override the lookup, e.g. to point at a local fake server.
+export async function whoisCheck(domain, opts = {}) {
+  try {
+    let entry = opts.server ? { ...whoisServerFor(domain), server: opts.server } : whoisServerFor(domain);
+    if (!entry) entry = await discoverServer(domain.slice(domain.lastIndexOf('.') + 1));
+    if (!entry) return null;
+    const query = entry.query ? entry.query(domain) : domain;
+    const upstream = `whois:${entry.server}`;
+    const text  = await withUpstream(upstream, () => whoisQuery(entry.server, query, { port: opts.port, timeout: opts.timeout }));
+    if (RATE_LIMIT_PATTERNS.some(p => p.test(text || ''))) await backOff(upstream);
+    return parseWhoisResponse(text, entry);
+  } catch { return null; }
+}
@@ -0,0 +1,93 @@
+// ── Bundled English word list ────────────────────────────────────────────────
+// Common, brandable English words (1407): enough to tell dictionary words
+// and compounds ("bluefox" → blue + fox) from coined names when scoring.
+// Kept as a module rather than a data file so every function bundles it.
+
+export const WORDS = new Set(`
+able about above accent access acorn act action active actor adapt add admin advance advice aero
+agent agile aid aim air alarm album alert align alive alloy ally alpha amber anchor angel angle
+animal answer ant apex apple apply arc arch arena argue ark arm army arrow art artist ash ask
+aspect asset atlas atom aura auto autumn avenue award aware axis baby back bake baker balance
+ball band bank bar barn base basic basin basket bay beach beacon beam bean bear beat beauty bee
+begin bell belt bench berry best better big bike bill bind bird bit bite black blade blank blast
+blaze blend bless blind bliss block bloom blossom blue board boat body bold bolt bond bone bonus
+book boost boot border boss bottle bound bow box brain branch brand brave bread break breeze
+brew brick bridge brief bright brilliant bring broad brook brother brush buck bud buddy budget
+build bulb bull bunch bundle burn burst bus bush business busy butter button buy buzz cab cabin
+cable cafe cage cake call calm camp can canal candle candy canon canvas canyon cap capital
+captain car card care cargo carry cart case cash cast castle cat catch cause cave cedar cell
+center chain chair chalk champ chance change channel chapter charge charm chart chase chat cheap
+check cheer chef cherry chest chief child chill chip choice chord circle city civic claim clap
+class clay clean clear clerk click client cliff climb clinic clip clock close cloud club clue
+coach coast coat code coffee coin cold collect colony color comet comfort command common company
+compass concept cook cool copper copy coral core corn corner cost cotton couch count country
+couple courage course court cove cover cozy craft crane crash crate cream create credit crest
+crew crisp crop cross crow crowd crown crystal cube cue cup cure curious curve custom cut cycle
+daily dairy dance dare dark dash data date dawn day deal dear debt deck deep deer delicious
+delta demon den desert design desk detail dew dial diamond diary dig digit dine dinner direct
+dish dive dock doctor dog dollar dome door dot dove down draft dragon drama draw dream dress
+drift drill drink drive drop drum dry duck dune dust duty eager eagle ear early earn earth ease
+east easy echo eco edge edit effect egg elder element elite elm ember empire end energy engine
+enjoy enter entry epic equal era essay ethic even event ever every exact exit expert express
+extra eye fable face fact factor fair faith fall fame family famous fan fancy far farm fashion
+fast fat fate father fault favor feast feather feed feel fellow fence fern fest fever few fiber
+field fig file fill film final find fine finger fire firm first fish fit five fix flag flame
+flash flat flavor fleet flex flight flip float flock flood floor flora flow flower fluid flute
+fly foam focus fog fold folk food foot force forest forge fork form fort forum fossil found fox
+frame free fresh friend frog front frost fruit fuel full fun fund fusion future gain galaxy
+gallery game garden gate gather gear gem general genius gentle giant gift ginger girl give glad
+glass glide globe glorious glory glow goal goat gold golf good goose gorgeous grace grade grain
+grand grant grape graph grass gravity great green grid grill grip grove grow guard guess guest
+guide guild gulf gym habit hair half hall hand handy happy harbor hard harmony harvest hat haven
+hawk head heal health heap heart heat heaven heavy hedge height hello helm help hen herb hero
+hidden high hill hint hire hive hold hole holiday hollow home honest honey honor hood hook hope
+horizon horn horse host hot hotel hour house hub hug human humble hunt hut ice icon idea ideal
+image impact inch index indigo ink inn input insight inspire iron island item ivory ivy jacket
+jade jam jar jazz jet jewel job join joint joke journal journey joy joyous judge juice jump
+jungle junior just keen keep kettle key kid kind king kit kitchen kite knot know lab label labor
+lace ladder lake lamp land lane language large laser last late launch lava law lawn layer lead
+leaf league lean learn leather leave ledge legacy legend lemon lend lens lesson level lever
+liberty library life lift light lily lime limit line link lion liquid list listen little live
+load loan lobby local lock lodge loft logic long loop lord lotion lotus loud love loyal luck
+lucky lunar lunch lush machine magic magnet maid mail main major maker mall man manor map maple
+marble march margin marine mark market mars mason master match mate matter maze meadow meal mean
+measure meat medal media medic meet melody melon member memo memory mentor menu merit mesa mess
+metal meter method metro mid might mild mile milk mill mind mine mint minute mirror mission mist
+mix mobile mode model modern moment money monk month moon moral morning moss mother motion motor
+mount mountain mouse move movie much mud muse music myth nail name nation native nature navy
+near neat nest net network new news next nice night noble node noon north nose note notion nova
+novel number nurse nut oak oasis ocean odd offer office oil old olive omega one open opera optic
+option oracle orange orbit orchard order organic origin otter outer oval oven owl own pace pack
+page paint pair palace palm pan panda panel paper parade park part party pass passion past patch
+path patio pattern pause paw pay peace peach peak pearl pebble pen pencil people pepper perfect
+pet phase phone photo piano pick picnic piece pier pig pilot pin pine pink pioneer pipe pitch
+pixel pizza place plain plan planet plant plate play plaza plot plum plus pocket poem poet point
+poison polar pole polish pond pony pool pop port portal post pot potion power praise precious
+press pride prime print prism prison prize pro profit proof prose proud pulse pump punch pure
+purple push puzzle quest quick quiet quilt quote rabbit race rack radar radio raft rail rain
+rainbow raise ranch range rank rapid rare rate raven raw ray reach read ready real realm reason
+rebel record red reef relay relic rent repair reply rest retro reward rhythm rice rich ride
+ridge right ring rise risk river road robin robot rock rocket roll roof room root rope rose
+rough round route row royal ruby rule run rush safe saga sage sail salon salt same sand sauce
+save say scale scene scholar school science scope score scout screen script sea seal season seat
+second secret seed seek select self sell send sense serve set settle shade shadow shape share
+sharp shelf shell shelter shield shift shine ship shirt shoe shop shore short shot show shower
+side sign signal silent silk silver simple sing single sister site size sketch ski skill sky
+slate sleep slice slide slim slope smart smile smoke smooth snack snap snow soap soar social
+sock soft soil solar solid solve song sonic soul sound soup source south space spark speak spice
+spin spirit splash spoon sport spot spring sprout spruce square stable stack staff stage stair
+stamp stand star start state station steam steel step stick still stock stone stop store storm
+story stove stream street strong studio study style sugar suit summer summit sun super supply
+sure surf swan sweet swift swing sync system table tail tale talent talk tall tank tap target
+task taste tea teach team tech teen tell temple ten tender tent term test text thank theory
+thread thrive thunder ticket tide tidy tiger tile timber time tiny tip title toast today token
+tone tool top topic torch total touch tour tower town toy trace track trade trail train treasure
+tree trek trend trial tribe trick trio trip true trust truth tulip tune turn turtle twin twist
+ultra umbrella uncle union unit unity universe up urban use usual valley value vapor various
+vault vector velvet venture verse vessel view villa village vine violet virtue vision visit
+vista vital vivid voice volt vote voyage wagon walk wall wander warm wash watch water wave way
+wealth weather weave web wedge well west whale wheat wheel whisper white whole wide wild will
+willow win wind window wine wing winter wire wisdom wise wish wit wizard wolf wonder wood wool
+word work world worth wrap write yard yarn year yellow yes yield yoga young youth zeal zen zero
+zest zinc zone zoo
+`.trim().split(/\s+/));
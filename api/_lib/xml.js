@@ -0,0 +1,105 @@
+// ── Minimal XML parser ───────────────────────────────────────────────────────
+// Enough XML for registrar API responses: elements, attributes, text,
+// self-closing tags, comments, CDATA, the <?xml?> prolog and the standard
+// entities. No namespaces or DTDs. parseXml() returns the root element as
+// { name, attrs, children, text } and throws on malformed input.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+const ATTR_RE = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+function parseAttrs(source) {
+  const attrs = {};
+  let m;
+  ATTR_RE.lastIndex = 0;
+  while ((m = ATTR_RE.exec(source)) !== null) attrs[m[1]] = decode(m[3] ?? m[4]);
+  return attrs;
+}
+
+// Index of the '>' closing the tag opened at `from`, skipping quoted values.
+function tagEnd(xml, from) {
+  let quote = null;
+  for (let i = from; i < xml.length; i++) {
+    const ch = xml[i];
+    if (quote) { if (ch === quote) quote = null; }
+    else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '>') return i;
+  }
+  return -1;
+}
+
+export function parseXml(xml) {
+  const root  = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+    const top = stack[stack.length - 1];
+    if (lt === -1) { top.text += decode(xml.slice(i)); break; }
+    if (lt > i) top.text += decode(xml.slice(i, lt));
+
+    if (xml.startsWith('<!--', lt)) {
+      const end = xml.indexOf('-->', lt);
+      if (end === -1) throw new Error('Unterminated comment');
+      i = end + 3;
+    } else if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt);
+      if (end === -1) throw new Error('Unterminated CDATA');
+      top.text += xml.slice(lt + 9, end);
+      i = end + 3;
+    } else if (xml[lt + 1] === '?' || xml[lt + 1] === '!') {
+      const end = xml.indexOf('>', lt);
+      if (end === -1) throw new Error('Unterminated declaration');
+      i = end + 1;
+    } else if (xml[lt + 1] === '/') {
+      const end  = xml.indexOf('>', lt);
+      const name = xml.slice(lt + 2, end).trim();
+      if (end === -1 || top.name !== name) throw new Error(`Unexpected closing tag </${name}>`);
+      stack.pop();
+      i = end + 1;
+    } else {
+      const end = tagEnd(xml, lt);
+      if (end === -1) throw new Error('Unterminated tag');
+      let body = xml.slice(lt + 1, end);
+      const selfClosing = body.endsWith('/');
+      if (selfClosing) body = body.slice(0, -1);
+      const name = body.match(/^[^\s/>]+/)?.[0];
+      if (!name) throw new Error('Empty tag name');
+      const node = { name, attrs: parseAttrs(body.slice(name.length)), children: [], text: '' };
+      top.children.push(node);
+      if (!selfClosing) stack.push(node);
+      i = end + 1;
+    }
+  }
+
+  if (stack.length !== 1) throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  const element = root.children[0];
+  if (!element) throw new Error('No root element');
+  return element;
+}
+
+// Depth-first search for every descendant element named `name`.
+export function findAll(node, name, out = []) {
+  for (const child of node.children) {
+    if (child.name === name) out.push(child);
+    findAll(child, name, out);
+  }
+  return out;
+}
+
+export function findFirst(node, name) {
+  for (const child of node.children) {
+    if (child.name === name) return child;
+    const found = findFirst(child, name);
+    if (found) return found;
+  }
+  return null;
+}
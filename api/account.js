@@ -0,0 +1,74 @@
+import { pendingInvites, resolveAccount, teamForUser } from './_lib/accounts.js';
+import { authenticate } from './_lib/auth.js';
+import { getClerkUser } from './_lib/clerk.js';
+import { CREDIT_PACKS, PLANS, stripePrice } from './_lib/plans.js';
+import { getBulkUsage, getCredits, usageMonth, usageResetsAt } from './_lib/usage.js';
+
+export const config = { maxDuration: 10 };
+
+// GET (Clerk session) →
+// { plan, planName, team: { id, role, shared } | null,   shared: credits come from the team pool
+//   invites: [{ teamId, name, invitedBy }],             team invites waiting for an answer
+//   limits:  { maxResults, bulkDomains, apiAccess },
+//   billing: { status, renewsAt, cancelAtPeriodEnd, trialEndsAt, graceUntil } | null,
+//   hasBillingAccount,
+//   usage:   { month: 'YYYY-MM', used, limit (null = unlimited), packs, remaining, resetsAt },
+//   bulk:    { used, limit },
+//   packs:   [{ id, credits }],   packs available to buy
+//   plans:   [{ id, name, monthlyCredits, maxResults, bulkDomains, apiAccess, seats }] }
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET')     return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to see your account.' });
+
+  const user = await getClerkUser(auth.userId);
+  if (!user) return res.status(502).json({ error: 'Could not load your account. Please try again.' });
+
+  // Kept up to date by the Stripe webhook (see _lib/billing.js)
+  const billing = user.public_metadata?.billing;
+  const account = await resolveAccount(auth.userId, user.public_metadata?.plan || 'free');
+  const [credits, bulkUsed, team, invites] = await Promise.all([
+    getCredits(account.accountId, account.limits),
+    getBulkUsage(account.accountId),
+    account.team || teamForUser(auth.userId),
+    pendingInvites(auth.userId),
+  ]);
+
+  return res.status(200).json({
+    plan:     account.plan,
+    planName: account.limits.name,
+    team:     team && { id: team.id, role: team.ownerId === auth.userId ? 'owner' : 'member', shared: Boolean(account.team) },
+    invites:  invites.map(t => ({ teamId: t.id, name: t.name, invitedBy: t.invites[auth.userId].invitedBy })),
+    limits: {
+      maxResults:  account.limits.maxResults,
+      bulkDomains: account.limits.bulkDomains,
+      apiAccess:   account.limits.apiAccess,
+    },
+    billing: billing ? {
+      status:            billing.status,
+      renewsAt:          billing.currentPeriodEnd || null,
+      cancelAtPeriodEnd: Boolean(billing.cancelAtPeriodEnd),
+      trialEndsAt:       billing.trialEndsAt || null,
+      graceUntil:        billing.graceUntil || null,
+    } : null,
+    hasBillingAccount: Boolean(user.private_metadata?.stripeCustomerId),
+    usage: {
+      month:     usageMonth(),
+      used:      credits.used,
+      limit:     credits.monthly,
+      packs:     credits.packs,
+      remaining: credits.remaining,
+      resetsAt:  usageResetsAt(),
+    },
+    bulk:  { used: bulkUsed, limit: account.limits.bulkDomains },
+    packs: Object.values(CREDIT_PACKS).filter(stripePrice).map(p => ({ id: p.id, credits: p.credits })),
+    plans: Object.values(PLANS).filter(p => p.id === 'free' || stripePrice(p))
+      .map(({ priceEnv, model, ...p }) => p),
+  });
+}
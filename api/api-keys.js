@@ -0,0 +1,44 @@
+import { resolveAccount } from './_lib/accounts.js';
+import { authenticate } from './_lib/auth.js';
+import { MAX_KEYS, RATE_LIMITS, countApiKeys, createApiKey, listApiKeys, revokeApiKey } from './_lib/apikeys.js';
+
+// GET                → { keys: [{ id, name, prefix, createdAt, lastUsedAt, usage }], limits }
+// POST { name }      → { key, meta }   the full key is only ever returned here
+// DELETE ?id=<uuid>  → revoke
+// Managed with a Clerk session only — an API key can't mint more keys.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to manage API keys.' });
+  const { userId, plan } = auth;
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ keys: await listApiKeys(userId), limits: RATE_LIMITS });
+  }
+
+  if (req.method === 'POST') {
+    const { limits } = await resolveAccount(userId, plan);
+    if (!limits.apiAccess) return res.status(403).json({ error: `API keys aren't included in the ${limits.name} plan.` });
+    const name = String(req.body?.name || '').replace(/\s+/g, ' ').trim().slice(0, 60) || 'API key';
+    if (await countApiKeys(userId) >= MAX_KEYS) {
+      return res.status(400).json({ error: `You can have up to ${MAX_KEYS} API keys. Revoke one first.` });
+    }
+    const { key, meta } = await createApiKey(userId, name);
+    const { hash, ...visible } = meta;
+    return res.status(201).json({ key, meta: visible });
+  }
+
+  if (req.method === 'DELETE') {
+    const id = String(req.query.id || '');
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return res.status(400).json({ error: 'Missing or invalid id' });
+    if (!await revokeApiKey(userId, id)) return res.status(404).json({ error: 'API key not found' });
+    return res.status(200).json({ revoked: id });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
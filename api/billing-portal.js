@@ -0,0 +1,39 @@
+import { authenticate } from './_lib/auth.js';
+import { getClerkUser } from './_lib/clerk.js';
+import { APP_URL, stripeRequest } from './_lib/billing.js';
+
+export const config = { maxDuration: 10 };
+
+// POST (Clerk session) → { url } of the Stripe customer portal, where the
+// user can cancel, change card and download invoices.
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to manage billing.' });
+
+  // Recorded by the Stripe webhook at checkout
+  const user       = await getClerkUser(auth.userId);
+  const customerId = user?.private_metadata?.stripeCustomerId;
+  if (!customerId) return res.status(404).json({ error: 'No billing account yet — upgrade to Pro first.' });
+
+  try {
+    const session = await stripeRequest('billing_portal/sessions', new URLSearchParams({
+      customer:   customerId,
+      return_url: APP_URL,
+    }));
+    return res.status(200).json({ url: session.url });
+  } catch (err) {
+    console.error('billing-portal.js error:', err);
+    return res.status(500).json({ error: 'Could not open the billing portal.' });
+  }
+}
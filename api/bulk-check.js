@@ -0,0 +1,115 @@
+import { resolveAccount } from './_lib/accounts.js';
+import { checkDomains } from './_lib/availability.js';
+import { authenticate } from './_lib/auth.js';
+import {
+  getBulkJob, getRows, parseBulkInput, rowsToCsv, saveBulkJob, saveRows, toRows,
+} from './_lib/bulk.js';
+import { newConsultationId } from './_lib/consultations.js';
+import { createJob, finishJob, openJobStream, resumeJob, resumePoint } from './_lib/jobs.js';
+import { requestIp } from './_lib/ratelimit.js';
+import { refundBulk, reserveBulk } from './_lib/usage.js';
+
+export const config = { maxDuration: 300 };
+
+const BATCH_SIZE       = 50;       // one Namecheap domains.check call
+const BATCH_DELAY_MS   = 1000;     // pause between batches to stay under upstream rate limits
+const LIVE_CONCURRENCY = 5;        // parallel RDAP/WHOIS lookups within a batch
+const RUN_BUDGET_MS    = 280_000;  // stop before maxDuration; unchecked domains are reported
+
+// POST { list | domains, tlds }   → SSE stream: job, progress…, done
+// POST with Last-Event-ID         → resume a dropped stream
+// GET  ?jobId=&format=json|csv    → results so far
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to run bulk checks.' });
+  const { userId, plan } = auth;
+
+  if (req.method === 'GET') {
+    const jobId = String(req.query.jobId || '');
+    const job   = /^[0-9a-f-]{36}$/i.test(jobId) ? await getBulkJob(jobId) : null;
+    if (!job || job.userId !== userId) return res.status(404).json({ error: 'Bulk check not found' });
+
+    const rows = await getRows(jobId);
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type',        'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="bulk-check-${jobId.slice(0, 8)}.csv"`);
+      return res.status(200).send(rowsToCsv(rows));
+    }
+    return res.status(200).json({ ...job, results: rows });
+  }
+
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const resumeFrom = resumePoint(req);
+  if (resumeFrom) return resumeJob(res, userId, resumeFrom, 'bulk');
+
+  const parsed = parseBulkInput(req.body || {});
+  if (parsed.error) return res.status(400).json({ error: parsed.error, invalid: parsed.invalid });
+  const { domains, invalid } = parsed;
+
+  // The whole list is reserved against the plan's monthly quota up front;
+  // whatever the time budget leaves unchecked is refunded at the end
+  const account = await resolveAccount(userId, plan);
+  const quota   = await reserveBulk(account.accountId, account.limits, domains.length);
+  if (!quota.allowed) {
+    return res.status(402).json({
+      error:     `This list has ${domains.length} domains but your ${account.limits.name} plan has ${quota.remaining} bulk checks left this month.`,
+      remaining: quota.remaining,
+      limit:     account.limits.bulkDomains,
+    });
+  }
+
+  const clientIp = requestIp(req);
+
+  const jobId  = newConsultationId();
+  const record = { userId, total: domains.length, checked: 0, status: 'running', createdAt: new Date().toISOString() };
+  await createJob(jobId, userId, 'bulk');
+  await saveBulkJob(jobId, record);
+
+  // The run continues if the client goes away; a reconnect replays progress
+  const stream = openJobStream(res, jobId);
+  const send   = stream.send;
+  send({ type: 'job', jobId, total: domains.length, invalid: invalid.slice(0, 50) });
+
+  const counts  = { available: 0, premium: 0, taken: 0, unknown: 0 };
+  const started = Date.now();
+  try {
+    for (let i = 0; i < domains.length; i += BATCH_SIZE) {
+      if (Date.now() - started > RUN_BUDGET_MS) break;
+      if (i > 0) await new Promise(r => setTimeout(r, BATCH_DELAY_MS));
+
+      const batch = domains.slice(i, i + BATCH_SIZE);
+      const rows  = toRows(batch, await checkDomains(batch, { clientIp, concurrency: LIVE_CONCURRENCY }));
+      for (const row of rows) counts[row.status]++;
+      record.checked += rows.length;
+
+      await saveRows(jobId, rows);
+      await saveBulkJob(jobId, record);
+      send({ type: 'progress', checked: record.checked, total: record.total, rows });
+    }
+
+    record.status = record.checked < record.total ? 'partial' : 'done';
+    await refundBulk(account.accountId, record.total - record.checked);
+    await saveBulkJob(jobId, record);
+    send({ type: 'done', jobId, checked: record.checked, total: record.total, counts });
+    await stream.flush();
+    await finishJob(jobId, 'done');
+
+  } catch (err) {
+    console.error('bulk-check.js error:', err);
+    record.status = 'error';
+    await refundBulk(account.accountId, record.total - record.checked);
+    await saveBulkJob(jobId, record).catch(() => {});
+    send({ type: 'error', message: 'Bulk check failed. Results checked so far can still be downloaded.' });
+    await stream.flush();
+    await finishJob(jobId, 'error');
+  }
+
+  if (!stream.closed()) res.end();
+}
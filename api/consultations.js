@@ -0,0 +1,41 @@
+import { authenticate } from './_lib/auth.js';
+import { deleteConsultation, getConsultation, listConsultations } from './_lib/consultations.js';
+
+export const config = { maxDuration: 10 };
+
+// GET            → { consultations: [summary, ...] } newest first
+// GET ?id=       → { consultation } with the full domain list
+// DELETE ?id=    → remove one consultation (id may also be sent in the body)
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin',  '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to see your consultation history.' });
+  const { userId } = auth;
+
+  const id = String(req.query?.id || req.body?.id || '').trim();
+  if (id && !/^[0-9a-f-]{36}$/i.test(id)) return res.status(400).json({ error: 'Invalid consultation id' });
+
+  if (req.method === 'GET') {
+    if (!id) return res.status(200).json({ consultations: await listConsultations(userId) });
+    const consultation = await getConsultation(userId, id);
+    if (!consultation) return res.status(404).json({ error: 'Consultation not found' });
+    return res.status(200).json({ consultation });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!id) return res.status(400).json({ error: 'Missing consultation id' });
+    const removed = await deleteConsultation(userId, id);
+    return res.status(removed ? 200 : 404).json({ removed });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
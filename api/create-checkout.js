@@ -1,5 +1,14 @@
+import { authenticate } from './_lib/auth.js';
+import { getClerkUser } from './_lib/clerk.js';
+import { resolveAccount } from './_lib/accounts.js';
+import { APP_URL, stripeRequest } from './_lib/billing.js';
+import { CREDIT_PACKS, PLANS, stripePrice } from './_lib/plans.js';
+
 export const config = { maxDuration: 10 };
 
+// POST { plan?: 'starter' | 'pro' | 'team' }  → { url } of a Stripe Checkout subscription page (default pro)
+// POST { pack: 'credits-20' | 'credits-100' }  → { url } of a one-off credit pack payment page
+// Clerk session required; the user comes from the verified token, never from the body.
 export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -12,36 +21,67 @@ export default async function handler(req, res) {
 
   res.setHeader('Access-Control-Allow-Origin', '*');
 
-  const { userId } = req.body;
-  if (!userId) return res.status(400).json({ error: 'Missing userId' });
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to upgrade.' });
+  const { userId } = auth;
+
+  const { plan: wanted = 'pro', pack: packId } = req.body || {};
+  // Plan from Clerk rather than the session claims, which lag an upgrade
+  const user        = await getClerkUser(userId);
+  const currentPlan = user?.public_metadata?.plan || 'free';
 
   try {
+    if (packId !== undefined) {
+      const pack  = CREDIT_PACKS[packId];
+      const price = stripePrice(pack);
+      if (!price) return res.status(400).json({ error: 'Unknown credit pack.' });
+      // Credits land in the pool the buyer draws from today (their team's, if any)
+      const { accountId } = await resolveAccount(userId, currentPlan);
+      const session = await stripeRequest('checkout/sessions', new URLSearchParams({
+        mode:                      'payment',
+        'payment_method_types[]':  'card',
+        'line_items[0][price]':    price,
+        'line_items[0][quantity]': '1',
+        'success_url':             `${APP_URL}?credits=${pack.credits}`,
+        'cancel_url':              APP_URL,
+        'client_reference_id':     userId,
+        'metadata[clerk_user_id]': userId,
+        'metadata[pack]':          pack.id,
+        'metadata[credit_account]': accountId,
+      }));
+      return res.status(200).json({ url: session.url });
+    }
+
+    const plan  = PLANS[wanted];
+    const price = stripePrice(plan);
+    if (!price) return res.status(400).json({ error: 'That plan is not available.' });
+    // Switching between paid plans happens in the billing portal
+    if (currentPlan !== 'free') {
+      return res.status(409).json({ error: `You are already on ${PLANS[currentPlan]?.name || currentPlan}. Manage your subscription from your account.` });
+    }
+
     const params = new URLSearchParams({
       mode:                        'subscription',
       'payment_method_types[]':    'card',
-      'line_items[0][price]':      process.env.STRIPE_PRICE_ID,
+      'line_items[0][price]':      price,
       'line_items[0][quantity]':   '1',
-      'success_url':               `https://domain-ate.com/demo.html?upgraded=true`,
-      'cancel_url':                `https://domain-ate.com/demo.html`,
+      'success_url':               `${APP_URL}?upgraded=true`,
+      'cancel_url':                APP_URL,
       'client_reference_id':       userId,
       'metadata[clerk_user_id]':   userId,
+      'metadata[plan]':            plan.id,
+      // Copied onto the subscription so its webhook events identify the user
+      'subscription_data[metadata][clerk_user_id]': userId,
+      'subscription_data[metadata][plan]':          plan.id,
     });
-
-    const stripeRes = await fetch('https://api.stripe.com/v1/checkout/sessions', {
-      method: 'POST',
-      headers: {
-        'Authorization':  `Bearer ${process.env.STRIPE_SECRET_KEY}`,
-        'Content-Type':   'application/x-www-form-urlencoded',
-      },
-      body: params,
-    });
-
-    const session = await stripeRes.json();
-    if (!stripeRes.ok) {
-      console.error('Stripe error:', session);
-      throw new Error(session.error?.message || 'Stripe checkout failed');
+    if (process.env.STRIPE_TRIAL_DAYS) {
+      params.set('subscription_data[trial_period_days]', process.env.STRIPE_TRIAL_DAYS);
     }
+    // Returning subscribers keep their Stripe customer (and saved cards)
+    const customerId = user?.private_metadata?.stripeCustomerId;
+    if (customerId) params.set('customer', customerId);
 
+    const session = await stripeRequest('checkout/sessions', params);
     return res.status(200).json({ url: session.url });
   } catch (err) {
     console.error('create-checkout.js error:', err);
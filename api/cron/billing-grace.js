@@ -0,0 +1,30 @@
+import { dequeueGrace, expiredGraces, updateBilling } from '../_lib/billing.js';
+
+export const config = { maxDuration: 60 };
+
+// Downgrade users whose payment is still failing once the grace period
+// (BILLING_GRACE_DAYS) runs out. Stripe may keep a subscription past_due for
+// weeks of retries; if a payment succeeds later the subscription webhook
+// restores Pro. Triggered by the Vercel cron in vercel.json.
+export default async function handler(req, res) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  let downgraded = 0;
+  for (const { userId, deadline } of await expiredGraces()) {
+    try {
+      await updateBilling(userId, {
+        plan:    'free',
+        billing: { status: 'past_due', graceUntil: new Date(deadline).toISOString() },
+      });
+      await dequeueGrace(userId);
+      downgraded++;
+    } catch (err) {
+      console.error(`billing-grace: downgrade failed for ${userId}:`, err.message);
+    }
+  }
+
+  return res.status(200).json({ downgraded });
+}
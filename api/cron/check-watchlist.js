@@ -0,0 +1,57 @@
+import { liveCheck, setCache } from '../_lib/availability.js';
+import { redisCommand } from '../_lib/redis.js';
+import {
+  getAllWatchedDomains, getWatchState, getWatchers, notify, recordWatchState,
+} from '../_lib/watchlist.js';
+
+export const config = { maxDuration: 60 };
+
+const BATCH_SIZE  = 150;  // domains re-checked per run, least recently checked first
+const CONCURRENCY = 5;    // parallel registry lookups
+
+// Triggered by the Vercel cron in vercel.json. Vercel sends
+// `Authorization: Bearer $CRON_SECRET` with scheduled invocations.
+export default async function handler(req, res) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const domains = await getAllWatchedDomains();
+  const states  = await Promise.all(domains.map(getWatchState));
+  const queue   = domains
+    .map((domain, i) => ({ domain, checkedAt: states[i]?.checkedAt || '' }))
+    .sort((a, b) => a.checkedAt.localeCompare(b.checkedAt))
+    .slice(0, BATCH_SIZE)
+    .map(d => d.domain);
+
+  let checked = 0;
+  const transitions = [];
+
+  for (let i = 0; i < queue.length; i += CONCURRENCY) {
+    await Promise.all(queue.slice(i, i + CONCURRENCY).map(async domain => {
+      try {
+        const check  = await liveCheck(domain);
+        const change = await recordWatchState(domain, check);
+        checked++;
+
+        // Keep the shared availability cache honest for suggest/check-domains
+        if (check.available === true) await redisCommand('DEL', `taken:${domain}`);
+        setCache(domain, check.available, null, check.details).catch(() => {});
+
+        if (!change) return;
+        transitions.push({ domain, ...change });
+        if (change.to !== 'available') return;
+
+        const watchers = await getWatchers(domain);
+        await Promise.all(watchers.map(userId =>
+          notify(userId, { type: 'available', domain, from: change.from })
+        ));
+      } catch (err) {
+        console.warn(`Watchlist check failed for ${domain}:`, err.message);
+      }
+    }));
+  }
+
+  return res.status(200).json({ watched: domains.length, checked, transitions });
+}
@@ -1,33 +1,26 @@
-export const config = { maxDuration: 15 };
+import { authenticate, authenticateApiKey, rejectRequest } from './_lib/auth.js';
+import { isValidTld, normaliseTld } from './_lib/constraints.js';
+import { getRates, makeFormatter, requestCurrency } from './_lib/fx.js';
+import { compareTld, getPricingSheets } from './_lib/pricing.js';
+import { limitRequest, requestIp } from './_lib/ratelimit.js';
+import { REGISTRARS } from './_lib/registrars/index.js';
 
-// Fallback prices (USD/yr) used when Namecheap API is unavailable
-const FALLBACK_PRICES = {
-  '.com':    8.88,
-  '.net':   10.48,
-  '.org':   11.06,
-  '.io':    32.98,
-  '.ai':    79.99,
-  '.co':    29.98,
-  '.app':   14.00,
-  '.store': 19.98,
-  '.xyz':   12.98,
-  '.dev':   12.00,
-  '.tech':  39.99,
-  '.info':  14.98,
-  '.me':    14.98,
-  '.us':     8.98,
-  '.uk':     9.98,
-  '.online': 19.98,
-  '.site':  19.98,
-  '.shop':  29.98,
-  '.biz':   14.98,
-};
+export const config = { maxDuration: 15 };
 
+// POST { tlds: ['.com', '.io'], currency?: 'EUR' } →
+// { prices:  { '.io': 32.98 },        cheapest 1-year register (kept for older clients)
+//   pricing: { '.io': { registrar, register, renew, transfer, fiveYearCost } },   cheapest offer
+//   offers:  { '.io': [ ...every registrar's quote, cheapest first ] },
+//   registrars: { namecheap: { name, searchUrl } },
+//   fx: { currency, locale, rate, stale },   currency guessed from the request if not given
+//   display: { '.io': { register, renew, fiveYearCost } },   cheapest offer, converted and formatted
+//   source: 'live' | 'fallback', updatedAt }
 export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
+
   if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
     return res.status(200).end();
   }
 
@@ -35,56 +28,49 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  // Open to the browser demo; an API key (if presented) is validated,
+  // rate-limited and counted
+  const keyAuth = await authenticateApiKey(req, 'domain-price');
+  if (keyAuth?.error) return rejectRequest(res, keyAuth);
+  const userId  = keyAuth?.userId ?? (await authenticate(req))?.userId ?? null;
+  const limited = await limitRequest(req, 'domain-price', { userId });
+  if (limited) return rejectRequest(res, limited);
 
   const { tlds } = req.body;
   if (!Array.isArray(tlds) || tlds.length === 0) {
     return res.status(400).json({ error: 'Missing tlds array' });
   }
 
-  const apiUser = process.env.NAMECHEAP_API_USER;
-  const apiKey  = process.env.NAMECHEAP_API_KEY;
-
-  // Try Namecheap live pricing if credentials are set
-  if (apiUser && apiKey) {
-    try {
-      const clientIp = (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || '0.0.0.0';
-      const params = new URLSearchParams({
-        ApiUser:         apiUser,
-        ApiKey:          apiKey,
-        UserName:        apiUser,
-        ClientIp:        clientIp,
-        Command:         'namecheap.users.getPricing',
-        ProductType:     'DOMAIN',
-        ActionName:      'REGISTER',
-        ProductCategory: 'DOMAINS',
-      });
+  const wanted = [...new Set(tlds.map(normaliseTld))].filter(isValidTld).slice(0, 50);
 
-      const ncRes = await fetch(`https://api.namecheap.com/xml.response?${params}`);
-      const xml   = await ncRes.text();
+  const [sheets, rates] = await Promise.all([getPricingSheets(requestIp(req)), getRates()]);
+  const target  = requestCurrency(req, req.body.currency);
+  const money   = makeFormatter(rates, target);
 
-      const prices = {};
-      for (const tld of tlds) {
-        const tldName = tld.replace(/^\./, ''); // e.g. 'com' from '.com'
-        // Namecheap XML: <Product Name="com">...<Price Duration="1" DurationType="YEAR" Price="8.88" .../>
-        const match = xml.match(
-          new RegExp(`<Product Name="${tldName}"[^>]*>[\\s\\S]*?<Price[^>]*Duration="1"[^>]*DurationType="YEAR"[^>]*Price="([^"]+)"`, 'i')
-        ) || xml.match(
-          new RegExp(`<Product Name="${tldName}"[^>]*>[\\s\\S]*?<Price[^>]*Price="([^"]+)"[^>]*Duration="1"[^>]*DurationType="YEAR"`, 'i')
-        );
-        prices[tld] = match ? parseFloat(match[1]) : (FALLBACK_PRICES[tld] ?? null);
-      }
-
-      return res.status(200).json({ prices, source: 'namecheap' });
-    } catch (err) {
-      console.error('Namecheap pricing error, falling back:', err.message);
-    }
+  const prices  = {};
+  const pricing = {};
+  const offers  = {};
+  const display = {};
+  const show    = usd => usd == null ? null : money.format(usd);
+  for (const tld of wanted) {
+    offers[tld]  = compareTld(sheets, tld);
+    pricing[tld] = offers[tld][0] || null;
+    prices[tld]  = pricing[tld]?.register[1] ?? null;
+    display[tld] = pricing[tld] && {
+      register:     show(pricing[tld].register[1]),
+      renew:        show(pricing[tld].renew[1]),
+      fiveYearCost: show(pricing[tld].fiveYearCost),
+    };
   }
 
-  // Fallback: return hardcoded prices
-  const prices = {};
-  for (const tld of tlds) {
-    prices[tld] = FALLBACK_PRICES[tld] ?? null;
-  }
-  return res.status(200).json({ prices, source: 'fallback' });
+  return res.status(200).json({
+    prices,
+    pricing,
+    offers,
+    registrars: Object.fromEntries(REGISTRARS.map(r => [r.id, { name: r.name, searchUrl: r.searchUrl }])),
+    fx:         { currency: money.currency, locale: target.locale, rate: money.rate, stale: rates.stale },
+    display,
+    source:     sheets.length ? 'live' : 'fallback',
+    updatedAt:  sheets.map(s => s.updatedAt).sort()[0] || null,
+  });
 }
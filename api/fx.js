@@ -0,0 +1,37 @@
+import { getRates, makeFormatter, requestCurrency } from './_lib/fx.js';
+
+export const config = { maxDuration: 10 };
+
+// GET /api/fx?currency=EUR&amounts=8.88,32.98
+// currency is optional (guessed from Accept-Language / geo); amounts are USD.
+// → { currency, locale, rate, updatedAt, stale, amounts: [{ usd, amount, formatted, compact }] }
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const fx      = await getRates();
+  const target  = requestCurrency(req, req.query.currency);
+  const full    = makeFormatter(fx, target);
+  const compact = makeFormatter(fx, target, { compact: true });
+
+  const amounts = String(req.query.amounts || '')
+    .split(',')
+    .map(a => parseFloat(a))
+    .filter(a => !isNaN(a))
+    .slice(0, 100)
+    .map(usd => ({ usd, amount: full.convert(usd), formatted: full.format(usd), compact: compact.format(usd) }));
+
+  res.setHeader('Cache-Control', 'private, max-age=600');
+  return res.status(200).json({
+    currency:  full.currency,
+    locale:    target.locale,
+    rate:      full.rate,
+    updatedAt: fx.updatedAt,
+    stale:     fx.stale,
+    amounts,
+  });
+}
@@ -0,0 +1,52 @@
+import { authenticate, authenticateApiKey, rejectRequest } from './_lib/auth.js';
+import { parseConstraints } from './_lib/constraints.js';
+import { extractKeywords, generateNames } from './_lib/generator.js';
+import { limitRequest } from './_lib/ratelimit.js';
+
+export const config = { maxDuration: 10 };
+
+const DEFAULT_NAMES = 20;
+const MAX_NAMES     = 50;
+
+// POST { description, options?, count? } →
+// { keywords: [word], names: [{ domain, name, tld, style, technique, from: [word], score }] }
+// Quick generate: names from the local generator (_lib/generator.js), already
+// through the quality gate for `options` (same shape as /api/suggest's, count
+// aside). Availability isn't checked — pass the domains to /api/check-domains.
+// Free for everyone: no consultation credit is used.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST')    return res.status(405).json({ error: 'Method not allowed' });
+
+  const keyAuth = await authenticateApiKey(req, 'generate');
+  if (keyAuth?.error) return rejectRequest(res, keyAuth);
+  const auth    = keyAuth || await authenticate(req);
+  const limited = await limitRequest(req, 'generate', { userId: auth?.userId ?? null });
+  if (limited) return rejectRequest(res, limited);
+
+  const description = req.body?.description;
+  if (!description || typeof description !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid description' });
+  }
+
+  const count = req.body.count === undefined ? DEFAULT_NAMES : Number(req.body.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_NAMES) {
+    return res.status(400).json({ error: `count must be between 1 and ${MAX_NAMES}` });
+  }
+
+  // options.count is the consultation size — the body's count applies here
+  const raw     = req.body.options;
+  const options = raw && typeof raw === 'object' && !Array.isArray(raw) ? { ...raw, count: undefined } : raw;
+  const parsed  = parseConstraints(options, auth?.plan);
+  if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+
+  const text = description.slice(0, 1000);
+  return res.status(200).json({
+    keywords: extractKeywords(text),
+    names:    generateNames(text, { constraints: parsed.constraints, count }),
+  });
+}
@@ -0,0 +1,41 @@
+import { authenticate } from './_lib/auth.js';
+import { getWebhookUrl, listNotifications, setWebhookUrl, webhookUrlError } from './_lib/watchlist.js';
+
+export const config = { maxDuration: 10 };
+
+// GET  → { notifications, webhookUrl }
+// POST { webhookUrl } → set (public https host only) or clear (empty) the user's webhook
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin',  '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to see notifications.' });
+  const { userId } = auth;
+
+  if (req.method === 'GET') {
+    const [notifications, webhookUrl] = await Promise.all([
+      listNotifications(userId),
+      getWebhookUrl(userId),
+    ]);
+    return res.status(200).json({ notifications, webhookUrl: webhookUrl || null });
+  }
+
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const webhookUrl = String(req.body?.webhookUrl || '').trim();
+  if (webhookUrl) {
+    const invalid = await webhookUrlError(webhookUrl);
+    if (invalid) return res.status(400).json({ error: invalid });
+  }
+
+  await setWebhookUrl(userId, webhookUrl || null);
+  return res.status(200).json({ webhookUrl: webhookUrl || null });
+}
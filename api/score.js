@@ -0,0 +1,59 @@
+import { authenticate, rejectRequest } from './_lib/auth.js';
+import { checkDomains, isValidDomain, normaliseDomain } from './_lib/availability.js';
+import { limitRequest, requestIp } from './_lib/ratelimit.js';
+import { scoreDomain } from './_lib/scoring.js';
+
+export const config = { maxDuration: 30 };
+
+const MAX_DOMAINS = 50;
+
+// GET  /api/score?domain=threadwise.io&style=hybrid
+// POST /api/score { domains: ['threadwise.io' | { domain, style?, available? }] }
+// → { scores: { 'threadwise.io': { score, breakdown, signals, available } } }
+// Availability is looked up (cache first) unless the caller passes it.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  let input;
+  if (req.method === 'GET')       input = [{ domain: req.query.domain, style: req.query.style }];
+  else if (req.method === 'POST') input = Array.isArray(req.body?.domains) ? req.body.domains : null;
+  else return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!input || input.length === 0) return res.status(400).json({ error: 'Missing domain or domains array' });
+  if (input.length > MAX_DOMAINS)   return res.status(400).json({ error: `At most ${MAX_DOMAINS} domains per request` });
+
+  const entries = input
+    .map(e => typeof e === 'string' ? { domain: e } : e || {})
+    .map(e => ({
+      domain:    normaliseDomain(e.domain),
+      style:     ['brandable', 'keyword', 'hybrid'].includes(e.style) ? e.style : null,
+      available: typeof e.available === 'boolean' ? e.available : undefined,
+    }))
+    .filter(e => isValidDomain(e.domain));
+  if (entries.length === 0) return res.status(400).json({ error: 'No valid domains provided' });
+
+  // Only lookups cost tokens — scoring with caller-supplied availability is free
+  const unknown = [...new Set(entries.filter(e => e.available === undefined).map(e => e.domain))];
+  if (unknown.length) {
+    const userId  = (await authenticate(req))?.userId ?? null;
+    const limited = await limitRequest(req, 'score', { userId, cost: unknown.length });
+    if (limited) return rejectRequest(res, limited);
+  }
+  const checked = unknown.length ? (await checkDomains(unknown, { clientIp: requestIp(req) })).results : {};
+
+  const scores = {};
+  for (const e of entries) {
+    const dot       = e.domain.indexOf('.');
+    const available = e.available ?? checked[e.domain] ?? null;
+    scores[e.domain] = {
+      ...scoreDomain({ name: e.domain.slice(0, dot), tld: e.domain.slice(dot), style: e.style }, { available }),
+      available,
+    };
+  }
+
+  return res.status(200).json({ scores });
+}
@@ -0,0 +1,39 @@
+import { rejectRequest } from './_lib/auth.js';
+import { checkDomains } from './_lib/availability.js';
+import { limitRequest, requestIp } from './_lib/ratelimit.js';
+import { getSharedShortlist, publicView } from './_lib/shortlists.js';
+
+export const config = { maxDuration: 30 };
+
+// GET ?token= → read-only shortlist with fresh availability.
+// Backs shortlist.html; no auth — the token is the capability.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const token = String(req.query?.token || '');
+  if (!/^[A-Za-z0-9_-]{16,64}$/.test(token)) {
+    return res.status(400).json({ error: 'Invalid share link' });
+  }
+
+  const list = await getSharedShortlist(token);
+  if (!list) return res.status(404).json({ error: 'This shortlist is no longer shared.' });
+
+  // One token per page load — a list re-checks up to MAX_ITEMS domains
+  const limited = await limitRequest(req, 'shared-shortlist');
+  if (limited) return rejectRequest(res, limited);
+
+  // Same cache → registrar APIs → RDAP path as /api/check-domains
+  const { results, premiumPrices, details } = await checkDomains(list.items.map(i => i.domain), { clientIp: requestIp(req) });
+
+  return res.status(200).json({ shortlist: publicView(list), results, premiumPrices, details });
+}
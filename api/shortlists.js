@@ -0,0 +1,165 @@
+import { authenticate } from './_lib/auth.js';
+import { isValidDomain, normaliseDomain } from './_lib/availability.js';
+import { findClerkUserByEmail } from './_lib/clerk.js';
+import {
+  MAX_ITEMS, MAX_NOTE, MAX_SHORTLISTS,
+  addItem, addMember, canEdit, countShortlists, createShortlist, deleteShortlist,
+  getShortlist, listShortlists, removeItem, removeMember, saveShortlist, setNote, setShareToken, setVote, tallyVotes,
+} from './_lib/shortlists.js';
+
+export const config = { maxDuration: 10 };
+
+// GET          → { shortlists: [...] } every list the user owns or was invited to
+// GET ?id=     → { shortlist }
+// POST { action, ... } → mutate; returns the updated { shortlist }
+//   create       { name }
+//   rename       { id, name }
+//   delete       { id }                                   (owner only)
+//   addItem      { id, domain, style?, rationale?, note? }
+//   removeItem   { id, domain }
+//   note         { id, domain, note }
+//   vote         { id, domain, vote: 1 | -1 | 0 }
+//   invite       { id, email }                            (owner only)
+//   removeMember { id, userId }                           (owner, or a member leaving; not the owner)
+//   share        { id, enabled }                          (owner only)
+
+function withVotes(list, userId) {
+  return { ...list, isOwner: list.ownerId === userId, items: list.items.map(i => ({ ...i, ...tallyVotes(i, userId) })) };
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin',  '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to use shortlists.' });
+  const { userId } = auth;
+
+  if (req.method === 'GET') {
+    if (!req.query?.id) {
+      const lists = await listShortlists(userId);
+      return res.status(200).json({ shortlists: lists.map(l => withVotes(l, userId)) });
+    }
+    const list = await getShortlist(String(req.query.id));
+    if (!list || !canEdit(list, userId)) return res.status(404).json({ error: 'Shortlist not found' });
+    return res.status(200).json({ shortlist: withVotes(list, userId) });
+  }
+
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const body   = req.body || {};
+  const action = String(body.action || '');
+  const name   = String(body.name || '').trim().slice(0, 60);
+
+  if (action === 'create') {
+    if (!name) return res.status(400).json({ error: 'Missing shortlist name' });
+    if (await countShortlists(userId) >= MAX_SHORTLISTS) {
+      return res.status(400).json({ error: `You can have up to ${MAX_SHORTLISTS} shortlists.` });
+    }
+    const list = await createShortlist(userId, name);
+    return res.status(200).json({ shortlist: withVotes(list, userId) });
+  }
+
+  const list = body.id ? await getShortlist(String(body.id)) : null;
+  if (!list || !canEdit(list, userId)) return res.status(404).json({ error: 'Shortlist not found' });
+  const isOwner = list.ownerId === userId;
+
+  const domain = normaliseDomain(body.domain);
+  const item   = list.items.find(i => i.domain === domain);
+
+  // Item changes are written field by field; answer with a fresh read so
+  // teammates' concurrent edits show up too
+  const itemsChanged = async () => res.status(200).json({ shortlist: withVotes(await getShortlist(list.id), userId) });
+
+  switch (action) {
+    case 'rename':
+      if (!name) return res.status(400).json({ error: 'Missing shortlist name' });
+      list.name = name;
+      break;
+
+    case 'delete':
+      if (!isOwner) return res.status(403).json({ error: 'Only the owner can delete a shortlist.' });
+      await deleteShortlist(list);
+      return res.status(200).json({ deleted: true });
+
+    case 'addItem': {
+      if (!isValidDomain(domain)) return res.status(400).json({ error: 'Missing or invalid domain' });
+      if (item) return itemsChanged(); // already starred
+      if (list.items.length >= MAX_ITEMS) return res.status(400).json({ error: `A shortlist holds up to ${MAX_ITEMS} domains.` });
+      const dot   = domain.indexOf('.');
+      const added = await addItem(list, {
+        domain,
+        name:      domain.slice(0, dot),
+        tld:       domain.slice(dot),
+        style:     ['brandable', 'keyword', 'hybrid'].includes(body.style) ? body.style : null,
+        rationale: String(body.rationale || '').trim().slice(0, 120),
+        note:      String(body.note || '').trim().slice(0, MAX_NOTE),
+        addedBy:   userId,
+        addedAt:   new Date().toISOString(),
+      });
+      if (added === 'full') return res.status(400).json({ error: `A shortlist holds up to ${MAX_ITEMS} domains.` });
+      return itemsChanged();
+    }
+
+    case 'removeItem':
+      if (!item) return res.status(404).json({ error: 'Domain not in shortlist' });
+      await removeItem(list, domain);
+      return itemsChanged();
+
+    case 'note':
+      if (!item) return res.status(404).json({ error: 'Domain not in shortlist' });
+      await setNote(list, domain, String(body.note || '').trim().slice(0, MAX_NOTE));
+      return itemsChanged();
+
+    case 'vote': {
+      if (!item) return res.status(404).json({ error: 'Domain not in shortlist' });
+      const vote = Number(body.vote);
+      if (![1, -1, 0].includes(vote)) return res.status(400).json({ error: 'Vote must be 1, -1 or 0' });
+      await setVote(list, domain, userId, vote);
+      return itemsChanged();
+    }
+
+    case 'invite': {
+      if (!isOwner) return res.status(403).json({ error: 'Only the owner can invite teammates.' });
+      const email = String(body.email || '').trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Invalid email address' });
+      let invitee;
+      try {
+        invitee = await findClerkUserByEmail(email);
+      } catch (err) {
+        console.error('shortlists.js invite error:', err);
+        return res.status(502).json({ error: 'Could not look up that user. Please try again.' });
+      }
+      if (!invitee) return res.status(404).json({ error: 'No Domain-ate account uses that email yet.' });
+      const updated = await addMember(list, invitee, email);
+      return res.status(200).json({ shortlist: withVotes(updated, userId) });
+    }
+
+    case 'removeMember': {
+      const memberId = String(body.userId || '');
+      if (memberId === list.ownerId)       return res.status(400).json({ error: "The owner can't leave their own shortlist — delete it instead." });
+      if (!isOwner && memberId !== userId) return res.status(403).json({ error: 'Only the owner can remove teammates.' });
+      const updated = await removeMember(list, memberId);
+      return res.status(200).json({ shortlist: withVotes(updated, userId) });
+    }
+
+    case 'share': {
+      if (!isOwner) return res.status(403).json({ error: 'Only the owner can change sharing.' });
+      const updated = await setShareToken(list, body.enabled !== false);
+      return res.status(200).json({ shortlist: withVotes(updated, userId) });
+    }
+
+    default:
+      return res.status(400).json({ error: 'Unknown action' });
+  }
+
+  const saved = await saveShortlist(list);
+  return res.status(200).json({ shortlist: withVotes(saved, userId) });
+}
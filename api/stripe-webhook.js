@@ -1,4 +1,9 @@
-import { createHmac } from 'crypto';
+import {
+  claimEvent, endGrace, finishEvent, isStaleEvent, isoTime, linkCustomer, planForStatus,
+  releaseEvent, startGrace, updateBilling, userForCustomer, verifyStripeSignature,
+} from './_lib/billing.js';
+import { CREDIT_PACKS, planForPrice } from './_lib/plans.js';
+import { addCredits } from './_lib/usage.js';
 
 export const config = {
   maxDuration: 10,
@@ -14,21 +19,10 @@ async function getRawBody(req) {
   });
 }
 
-function verifyStripeSignature(payload, sigHeader, secret) {
-  const parts     = sigHeader.split(',');
-  const timestamp = parts.find(p => p.startsWith('t='))?.slice(2);
-  const signature = parts.find(p => p.startsWith('v1='))?.slice(3);
-  if (!timestamp || !signature) return false;
-
-  const signed = `${timestamp}.${payload}`;
-  const expected = createHmac('sha256', secret).update(signed).digest('hex');
-  return expected === signature;
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).end();
 
-  const rawBody  = await getRawBody(req);
+  const rawBody   = await getRawBody(req);
   const sigHeader = req.headers['stripe-signature'];
 
   if (!verifyStripeSignature(rawBody.toString(), sigHeader, process.env.STRIPE_WEBHOOK_SECRET)) {
@@ -37,42 +31,97 @@ export default async function handler(req, res) {
 
   const event = JSON.parse(rawBody.toString());
 
-  // Handle subscription becoming active (new signup or reactivation)
-  if (
-    event.type === 'customer.subscription.created' ||
-    event.type === 'customer.subscription.updated'
-  ) {
-    const sub    = event.data.object;
-    const userId = sub.metadata?.clerk_user_id;
-    if (!userId) return res.status(200).json({ received: true });
-
-    const plan = sub.status === 'active' ? 'pro' : 'free';
-
-    await fetch(`https://api.clerk.com/v1/users/${userId}/metadata`, {
-      method: 'PATCH',
-      headers: {
-        'Authorization': `Bearer ${process.env.CLERK_SECRET_KEY}`,
-        'Content-Type':  'application/json',
-      },
-      body: JSON.stringify({ public_metadata: { plan } }),
-    });
-  }
+  // Stripe delivers at least once — apply each event id exactly once
+  const claim = await claimEvent(event.id);
+  if (claim === 'done') return res.status(200).json({ received: true, duplicate: true });
+  if (claim !== 'new')  return res.status(409).json({ error: 'Event is already being processed' });
 
-  // Handle subscription cancelled / expired
-  if (event.type === 'customer.subscription.deleted') {
-    const sub    = event.data.object;
-    const userId = sub.metadata?.clerk_user_id;
-    if (userId) {
-      await fetch(`https://api.clerk.com/v1/users/${userId}/metadata`, {
-        method: 'PATCH',
-        headers: {
-          'Authorization': `Bearer ${process.env.CLERK_SECRET_KEY}`,
-          'Content-Type':  'application/json',
-        },
-        body: JSON.stringify({ public_metadata: { plan: 'free' } }),
-      });
-    }
+  try {
+    await handleEvent(event);
+    await finishEvent(event.id);
+  } catch (err) {
+    console.error(`stripe-webhook ${event.type} ${event.id} failed:`, err);
+    await releaseEvent(event.id);
+    return res.status(500).json({ error: 'Webhook handling failed' });
   }
 
   return res.status(200).json({ received: true });
 }
+
+async function handleEvent(event) {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+      return onCheckoutCompleted(object);
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      return onSubscriptionChanged(object, event);
+    case 'invoice.payment_failed':
+      return onPaymentFailed(object);
+  }
+}
+
+// Upgrade as soon as checkout finishes (the subscription events follow) and
+// remember the customer so later invoice events can find the user. Credit
+// pack purchases add to the pool chosen when the checkout was created.
+async function onCheckoutCompleted(session) {
+  const userId = session.client_reference_id || session.metadata?.clerk_user_id;
+  if (!userId) return;
+  const paid = session.payment_status === 'paid' || session.payment_status === 'no_payment_required'; // trials
+
+  if (session.mode === 'payment') {
+    const pack = CREDIT_PACKS[session.metadata?.pack];
+    if (pack && paid) await addCredits(session.metadata.credit_account || userId, pack.credits);
+    return;
+  }
+  if (session.mode !== 'subscription') return;
+
+  await linkCustomer(session.customer, userId);
+  await updateBilling(userId, paid ? { plan: session.metadata?.plan || 'pro' } : {}, {
+    stripeCustomerId:     session.customer,
+    stripeSubscriptionId: session.subscription,
+  });
+}
+
+async function onSubscriptionChanged(sub, event) {
+  const userId = sub.metadata?.clerk_user_id || await userForCustomer(sub.customer);
+  if (!userId) return;
+  if (await isStaleEvent(sub.id, event.created)) return;
+  await linkCustomer(sub.customer, userId);
+
+  const status = event.type === 'customer.subscription.deleted' ? 'canceled' : sub.status;
+  let graceUntil = null;
+  if (status === 'past_due') graceUntil = await startGrace(userId);
+  else                       await endGrace(userId);
+
+  const paidPlan = planForPrice(sub.items?.data?.[0]?.price?.id) || sub.metadata?.plan || 'pro';
+  const plan     = planForStatus(status, paidPlan, graceUntil);
+  await updateBilling(userId, {
+    ...(plan ? { plan } : {}),
+    billing: {
+      status,
+      trialEndsAt:       isoTime(sub.trial_end),
+      currentPeriodEnd:  isoTime(sub.current_period_end ?? sub.items?.data?.[0]?.current_period_end),
+      cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+      graceUntil:        graceUntil && new Date(graceUntil).toISOString(),
+    },
+  }, {
+    stripeCustomerId:     sub.customer,
+    stripeSubscriptionId: sub.id,
+  });
+}
+
+// A renewal (or end-of-trial) charge failed: keep the paid plan through the
+// grace period while Stripe retries. A failed first invoice never granted one.
+async function onPaymentFailed(invoice) {
+  if (invoice.billing_reason === 'subscription_create') return;
+  const userId = invoice.subscription_details?.metadata?.clerk_user_id || await userForCustomer(invoice.customer);
+  if (!userId) return;
+
+  const graceUntil = await startGrace(userId);
+  await updateBilling(userId, {
+    ...(graceUntil <= Date.now() ? { plan: 'free' } : {}),
+    billing: { status: 'past_due', graceUntil: new Date(graceUntil).toISOString() },
+  });
+}
@@ -1,134 +1,26 @@
-import { createPublicKey, verify } from 'crypto';
+import { redisGet, redisIncr } from './_lib/redis.js';
+import { checkDomains, displayDomain, isValidDomain, normaliseDomain } from './_lib/availability.js';
+import { describeNameRules, isValidTld, normaliseTld, parseConstraints } from './_lib/constraints.js';
+import { qualityGate } from './_lib/quality.js';
+import { scoreDomain } from './_lib/scoring.js';
+import { checkHandles } from './_lib/handles.js';
+import { screenTrademarks } from './_lib/trademarks.js';
+import { authenticateApiKey, rejectRequest, verifyClerkToken } from './_lib/auth.js';
+import { getConsultation, newConsultationId, saveConsultation } from './_lib/consultations.js';
+import { collectJobEvents, createJob, finishJob, openJobStream, resumeJob, resumePoint } from './_lib/jobs.js';
+import { resolveAccount } from './_lib/accounts.js';
+import { debitCredit, getCredits } from './_lib/usage.js';
+import { MAX_BATCH, runAgent } from './_lib/agent.js';
+import { generateNames } from './_lib/generator.js';
+import { LANGUAGES, marketLanguages, offensiveMeaning, screenLinguistics } from './_lib/linguistics.js';
+import { getProvider, modelForPlan } from './_lib/llm/index.js';
 
 export const config = { maxDuration: 60 };
 
-const FREE_LIMIT    = 5;
-const MAX_CHECKS    = 35;   // budget for check_domain tool calls
-const TARGET        = 10;   // domains to find and submit
-
-// ── Clerk JWT verification ──────────────────────────────────────────────────
-
-const jwksCache = {};
-
-async function getJwksForIssuer(iss) {
-  const now = Date.now();
-  if (jwksCache[iss] && now - jwksCache[iss].at < 3_600_000) return jwksCache[iss].keys;
-  const res = await fetch(`${iss}/.well-known/jwks.json`);
-  if (!res.ok) throw new Error(`JWKS fetch failed: ${res.status}`);
-  const { keys } = await res.json();
-  jwksCache[iss] = { keys, at: now };
-  return keys;
-}
-
-async function verifyClerkToken(token) {
-  try {
-    const parts = token.split('.');
-    if (parts.length !== 3) return null;
-    const header  = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
-    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
-    if (payload.exp * 1000 < Date.now()) return null;
-    if (!payload.iss) return null;
-    const keys = await getJwksForIssuer(payload.iss);
-    const jwk  = keys.find(k => k.kid === header.kid);
-    if (!jwk) return null;
-    const publicKey = createPublicKey({ key: jwk, format: 'jwk' });
-    const valid = verify(
-      'RSA-SHA256',
-      Buffer.from(`${parts[0]}.${parts[1]}`),
-      publicKey,
-      Buffer.from(parts[2], 'base64url')
-    );
-    return valid ? payload : null;
-  } catch (err) {
-    console.warn('verifyClerkToken error:', err.message);
-    return null;
-  }
-}
-
-// ── Usage tracking ──────────────────────────────────────────────────────────
-
-function usageKey(userId) {
-  return `usage:${userId}:${new Date().toISOString().slice(0, 7)}`;
-}
-
-async function getUsage(userId) {
-  const res = await fetch(
-    `${process.env.UPSTASH_REDIS_REST_URL}/get/${usageKey(userId)}`,
-    { headers: { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` } }
-  );
-  const data = await res.json();
-  return parseInt(data.result || '0', 10);
-}
-
-async function incrementUsage(userId) {
-  const key = usageKey(userId);
-  await fetch(`${process.env.UPSTASH_REDIS_REST_URL}/incr/${key}`,
-    { headers: { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` } });
-  await fetch(`${process.env.UPSTASH_REDIS_REST_URL}/expire/${key}/3024000`,
-    { headers: { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` } });
-}
-
-// ── Redis helpers ────────────────────────────────────────────────────────────
-
-async function redisGet(key) {
-  try {
-    const res = await fetch(
-      `${process.env.UPSTASH_REDIS_REST_URL}/get/${encodeURIComponent(key)}`,
-      { headers: { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` } }
-    );
-    const data = await res.json();
-    return data.result ?? null;
-  } catch { return null; }
-}
-
-async function redisSet(key, value, ttl) {
-  try {
-    const url = ttl
-      ? `${process.env.UPSTASH_REDIS_REST_URL}/set/${encodeURIComponent(key)}/${encodeURIComponent(value)}?EX=${ttl}`
-      : `${process.env.UPSTASH_REDIS_REST_URL}/set/${encodeURIComponent(key)}/${encodeURIComponent(value)}`;
-    await fetch(url, { headers: { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` } });
-  } catch {}
-}
-
-async function redisIncr(key) {
-  try {
-    await fetch(
-      `${process.env.UPSTASH_REDIS_REST_URL}/incr/${encodeURIComponent(key)}`,
-      { headers: { Authorization: `Bearer ${process.env.UPSTASH_REDIS_REST_TOKEN}` } }
-    );
-  } catch {}
-}
-
-// ── Domain availability cache ─────────────────────────────────────────────────
-// Taken   → 6 months  (quality domains stay taken; non-renewals get snapped up anyway)
-// Premium → 6 months  (premium status is stable)
-// Available → 48 hours (can get registered at any time)
-// Unknown → not cached (retry next time)
-
-async function getCached(domain) {
-  try {
-    const [taken, avail, premium] = await Promise.all([
-      redisGet(`taken:${domain}`),
-      redisGet(`avail:${domain}`),
-      redisGet(`premium:${domain}`),
-    ]);
-    if (taken   !== null) return { available: false };
-    if (premium !== null) return { available: true, premium: true, price: parseFloat(premium) };
-    if (avail   !== null) return { available: true };
-    return null;
-  } catch { return null; }
-}
-
-async function setCache(domain, available, premiumPrice = null) {
-  if (available === false) {
-    await redisSet(`taken:${domain}`,   '1', 15_552_000);          // 6 months
-  } else if (available === true && premiumPrice) {
-    await redisSet(`premium:${domain}`, String(premiumPrice), 15_552_000);
-  } else if (available === true) {
-    await redisSet(`avail:${domain}`,   '1', 172_800);              // 48 hours
-  }
-  // null = RDAP inconclusive → don't cache, retry next time
-}
+const MAX_CHECKS    = 35;   // budget of domain checks (per 10 domains requested)
+const TARGET        = 10;   // default domains to find and submit; options.count overrides
+const MAX_TURNS     = 20;   // model turns (per 10 domains requested)
+const SEED_COUNT    = 12;   // locally generated names offered as starting points
 
 // ── TLD availability stats ────────────────────────────────────────────────────
 // Running counters per TLD. After enough data accumulates, the prompt
@@ -156,107 +48,104 @@ async function getTldStats() {
   return stats;
 }
 
-// ── RDAP (module-level bootstrap cache) ──────────────────────────────────────
-
-let _bootstrap   = null;
-let _bootstrapAt = 0;
-
-async function getBootstrap() {
-  if (_bootstrap && Date.now() - _bootstrapAt < 3_600_000) return _bootstrap;
-  const res    = await fetch('https://data.iana.org/rdap/dns.json', { signal: AbortSignal.timeout(8000) });
-  _bootstrap   = await res.json();
-  _bootstrapAt = Date.now();
-  return _bootstrap;
-}
-
-async function rdapCheck(domain) {
-  try {
-    const tld       = domain.slice(domain.indexOf('.') + 1);
-    const bootstrap = await getBootstrap();
-    let   rdapBase  = null;
-    for (const [tlds, urls] of bootstrap.services) {
-      if (tlds.includes(tld) && urls.length > 0) { rdapBase = urls[0].replace(/\/$/, ''); break; }
-    }
-    if (!rdapBase) return null;
-    const res = await fetch(`${rdapBase}/domain/${domain}`, { signal: AbortSignal.timeout(8000) });
-    if (res.status === 404) return true;
-    if (res.status === 200) return false;
-    return null;
-  } catch { return null; }
+// ── Brand screening ───────────────────────────────────────────────────────────
+// Social handle availability, trademark collisions and meanings in the
+// market's languages for a submitted name. Attached to the domain event;
+// failures just leave the badges empty. IDNs are screened in Unicode and
+// skip the handle lookups (handles are ASCII-only).
+
+async function screenName(domain, market) {
+  const label = domain.unicode ? domain.unicode.split('.')[0] : domain.name;
+  const [handles, trademark] = await Promise.all([
+    domain.unicode ? [] : checkHandles(domain.name).catch(() => []),
+    screenTrademarks(label).catch(() => ({ conflicts: [] })),
+  ]);
+  return { handles, trademark, linguistic: screenLinguistics(label, market) };
 }
 
-// ── Quality gate ──────────────────────────────────────────────────────────────
-// Called before RDAP — no network required.
-// Returns null on pass, or a string describing why it failed.
-// seenNames = names that already passed this gate (for diversity enforcement).
-
-const PADDING_SUFFIXES = ['app', 'hq', 'get', 'now', 'go', 'try', 'my', 'use', 'hub', 'pro'];
-
-function editDist(a, b) {
-  const m = a.length, n = b.length;
-  const dp = Array.from({ length: m + 1 }, (_, i) =>
-    Array.from({ length: n + 1 }, (_, j) => i === 0 ? j : j === 0 ? i : 0));
-  for (let i = 1; i <= m; i++)
-    for (let j = 1; j <= n; j++)
-      dp[i][j] = a[i - 1] === b[j - 1]
-        ? dp[i - 1][j - 1]
-        : 1 + Math.min(dp[i - 1][j], dp[i][j - 1], dp[i - 1][j - 1]);
-  return dp[m][n];
-}
-
-function qualityGate(domain, seenNames) {
-  const dot = domain.lastIndexOf('.');
-  if (dot === -1) return 'missing TLD';
-  const name = domain.slice(0, dot).toLowerCase();
-  if (name.length < 5)  return 'too short (min 5 chars)';
-  if (name.length > 12) return 'too long (max 12 chars)';
-  if (/[0-9-]/.test(name)) return 'contains digits or hyphens';
-  const vowelRatio = (name.match(/[aeiou]/gi) || []).length / name.length;
-  if (vowelRatio < 0.2 || vowelRatio > 0.6) return 'poor vowel ratio — likely unpronounceable';
-  if (/[^aeiou]{4,}/i.test(name))           return 'consonant cluster — unpronounceable';
-  const offender = PADDING_SUFFIXES.find(p => name !== p && name.endsWith(p) && name.length > p.length + 2);
-  if (offender) return `padding suffix detected — ends in "${offender}"`;
-  for (const seen of seenNames) {
-    if (editDist(name, seen) <= 2) return `too similar to already-tried "${seen}" — invent a different concept`;
-  }
-  return null; // pass
+// ── Run metrics ───────────────────────────────────────────────────────────────
+// Where a consultation's time went, in ms: model turns, availability batches
+// (lookups run concurrently within a batch) and waiting for brand screens
+// after the loop. Sent on the done event and kept with the consultation.
+
+function runMetrics(run, { startedAt, loopEnded }) {
+  return {
+    totalMs:  Date.now() - startedAt,
+    modelMs:  run.timings.modelMs,
+    checkMs:  run.timings.checkMs,
+    screenMs: Date.now() - loopEnded,
+    turns:    run.turns,
+    checks:   run.checksUsed,
+    batches:  run.timings.batches,
+  };
 }
 
 // ── Tool definitions ──────────────────────────────────────────────────────────
 
-const TOOLS = [
-  {
-    name: 'check_domain',
-    description:
-      'Check if a domain name passes quality standards and is available for registration. ' +
-      'Quality requirements: 5–12 characters, pronounceable (healthy vowel ratio, no consonant clusters), ' +
-      'no padding suffixes (app/hq/get/go/try/my/use/hub/pro), no digits or hyphens. ' +
-      'If the result is TAKEN: abandon that concept entirely — never pad, never append, never retry with minor variations.',
-    input_schema: {
-      type: 'object',
-      properties: {
-        domain: { type: 'string', description: 'Full domain with TLD, lowercase, e.g. "threadwise.io"' },
+// Built per request so the check_domains description states the same rules
+// the quality gate enforces for this run's constraints.
+function buildTools(c) {
+  return [
+    {
+      name: 'check_domains',
+      description:
+        `Check up to ${MAX_BATCH} domain names at once: each must pass quality standards and be available for registration. ` +
+        'Names are checked in order, so a near-duplicate of an earlier name in the same call is rejected. ' +
+        `Quality requirements: ${describeNameRules(c).join(', ')}, ` +
+        'pronounceable (healthy vowel ratio, no consonant clusters), ' +
+        'no padding suffixes (app/hq/get/go/try/my/use/hub/pro). ' +
+        'If the result is TAKEN: abandon that concept entirely — never pad, never append, never retry with minor variations.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          domains: {
+            type:        'array',
+            items:       { type: 'string', description: 'Full domain with TLD, lowercase, e.g. "threadwise.io"' },
+            minItems:    1,
+            maxItems:    MAX_BATCH,
+            description: 'Candidates from genuinely different concepts',
+          },
+        },
+        required: ['domains'],
       },
-      required: ['domain'],
     },
-  },
-  {
-    name: 'submit_domain',
-    description:
-      'Submit a confirmed-available domain as a final suggestion. ' +
-      'Only call this immediately after check_domain returns { available: true } for that exact domain.',
-    input_schema: {
-      type: 'object',
-      properties: {
-        name:      { type: 'string', description: 'Domain name without TLD, lowercase' },
-        tld:       { type: 'string', description: 'TLD including dot, e.g. ".io"' },
-        style:     { type: 'string', enum: ['brandable', 'keyword', 'hybrid'] },
-        rationale: { type: 'string', description: 'Why this name suits this specific business (max 15 words)' },
+    {
+      name: 'submit_domain',
+      description:
+        'Submit a confirmed-available domain as a final suggestion. ' +
+        'Only call this for a domain that check_domains returned as { available: true }.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          name:      { type: 'string', description: 'Domain name without TLD, lowercase' },
+          tld:       { type: 'string', description: 'TLD including dot, e.g. ".io"' },
+          style:     { type: 'string', enum: ['brandable', 'keyword', 'hybrid'] },
+          rationale: { type: 'string', description: 'Why this name suits this specific business (max 15 words)' },
+        },
+        required: ['name', 'tld', 'style', 'rationale'],
       },
-      required: ['name', 'tld', 'style', 'rationale'],
     },
-  },
-];
+  ];
+}
+
+// ── Refine prompt section ─────────────────────────────────────────────────────
+
+function refineSection({ parent, liked, disliked, direction, shownNames }) {
+  const styleOf = d => parent.domains.find(p => p.name + p.tld === d)?.style || 'brandable';
+  return '\n\nFEEDBACK FROM THE PREVIOUS ROUND\n' +
+    'The client has already seen a round of suggestions and wants a new round shaped by their feedback.\n' +
+    (liked.length
+      ? `Liked — find more in this spirit (similar feel, length and style, NOT near-copies):\n` +
+        liked.map(d => `- ${d} (${styleOf(d)})`).join('\n') + '\n'
+      : '') +
+    (disliked.length
+      ? `Disliked — steer clearly away from these sounds, structures and concepts:\n` +
+        disliked.map(d => `- ${d} (${styleOf(d)})`).join('\n') + '\n'
+      : '') +
+    (direction ? `Client direction: "${direction}"\n` : '') +
+    `Never resubmit or lightly vary any of the ${shownNames.length} names already shown — ` +
+    'the quality gate rejects names too similar to them.';
+}
 
 // ── Main handler ──────────────────────────────────────────────────────────────
 
@@ -264,50 +153,103 @@ export default async function handler(req, res) {
   if (req.method === 'OPTIONS') {
     res.setHeader('Access-Control-Allow-Origin',  '*');
     res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key, Last-Event-ID');
     return res.status(200).end();
   }
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
   res.setHeader('Access-Control-Allow-Origin',  '*');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  // ── Auth ─────────────────────────────────────────────────────────────────────
-  const authHeader = req.headers.authorization || '';
-  const token      = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'Sign in to generate domain suggestions.' });
-
-  const payload = await verifyClerkToken(token);
-  if (!payload)  return res.status(401).json({ error: 'Invalid or expired session. Please sign in again.' });
-
-  const userId = payload.sub;
-  const plan   = payload.metadata?.plan || payload.publicMetadata?.plan || 'free';
-
-  // ── Usage check (free plan, JSON response before SSE starts) ─────────────────
-  if (plan !== 'pro') {
-    try {
-      const usage = await getUsage(userId);
-      if (usage >= FREE_LIMIT) {
-        return res.status(402).json({
-          error: `You've used all ${FREE_LIMIT} free consultations this month. Upgrade to Pro for unlimited access.`,
-          usage,
-          limit: FREE_LIMIT,
-        });
-      }
-    } catch (e) { console.warn('Usage check skipped:', e.message); }
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key, Last-Event-ID');
+
+  // ── Auth: API key (scripts) or Clerk session (browser) ──────────────────────
+  const keyAuth = await authenticateApiKey(req, 'suggest');
+  if (keyAuth?.error) return rejectRequest(res, keyAuth);
+
+  let userId, plan, account;
+  if (keyAuth) {
+    ({ userId, plan, account } = keyAuth);
+  } else {
+    const authHeader = req.headers.authorization || '';
+    const token      = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+    if (!token) return res.status(401).json({ error: 'Sign in to generate domain suggestions.' });
+
+    const payload = await verifyClerkToken(token);
+    if (!payload)  return res.status(401).json({ error: 'Invalid or expired session. Please sign in again.' });
+
+    userId = payload.sub;
+    plan   = payload.metadata?.plan || payload.publicMetadata?.plan || 'free';
+  }
+
+  // Non-streaming mode for scripts: { stream: false } or Accept: application/json
+  const accept   = String(req.headers.accept || '');
+  const jsonMode = req.body?.stream === false || (accept.includes('application/json') && !accept.includes('text/event-stream'));
+
+  // ── Reconnect: Last-Event-ID header, or { jobId, lastSeq } in the body ──────
+  const resumeFrom = resumePoint(req);
+  if (resumeFrom) return resumeJob(res, userId, resumeFrom, 'suggest');
+
+  // ── Credit check (JSON response before SSE starts) ──────────────────────────
+  // Team members draw from the team's pool; the debit happens at completion
+  account ??= await resolveAccount(userId, plan);
+  const credits = await getCredits(account.accountId, account.limits);
+  if (credits.remaining === 0) {
+    return res.status(402).json({
+      error: `You've used all ${credits.monthly} ${account.limits.name} consultations this month. Buy a credit pack or upgrade for more.`,
+      usage: credits.used,
+      limit: credits.monthly,
+    });
+  }
+
+  // ── Refine mode: iterate on a previous consultation with feedback ────────────
+  // { refine: { consultationId, liked: [domain], disliked: [domain], direction } }
+  let refine = null;
+  if (req.body.refine) {
+    const parent = await getConsultation(userId, String(req.body.refine.consultationId || ''));
+    if (!parent) return res.status(404).json({ error: 'The consultation to refine was not found.' });
+
+    const shown = (parent.domains || []).map(d => d.name + d.tld);
+    const pick  = list => (Array.isArray(list) ? list : [])
+      .map(d => String(d).toLowerCase().trim())
+      .filter(d => shown.includes(d));
+
+    refine = {
+      parent,
+      liked:      pick(req.body.refine.liked),
+      disliked:   pick(req.body.refine.disliked),
+      direction:  String(req.body.refine.direction || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+      // Every name shown in any earlier round — seeds the diversity check
+      shownNames: [...new Set([...(parent.shownNames || []), ...(parent.domains || []).map(d => d.name)])],
+    };
   }
 
-  const { description, answers } = req.body;
+  const description = req.body.description || refine?.parent.description;
+  const answers     = req.body.answers     || refine?.parent.answers;
   if (!description || typeof description !== 'string') {
     return res.status(400).json({ error: 'Missing or invalid description' });
   }
 
+  // ── Naming constraints (refine rounds inherit the parent's options) ─────────
+  const rawOptions = req.body.options ?? refine?.parent.options ?? null;
+  const parsed     = parseConstraints(rawOptions, account.plan);
+  if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+  const constraints = parsed.constraints;
+
+  const target    = constraints.count;
+  const maxChecks = Math.ceil(MAX_CHECKS * target / TARGET);
+  const maxTurns  = Math.max(MAX_TURNS, Math.ceil(MAX_TURNS * target / TARGET));
+
+  // ── Job: the consultation id doubles as the resumable stream id ───────────────
+  const jobId = newConsultationId();
+  await createJob(jobId, userId, 'suggest');
+
   // ── Switch to SSE ─────────────────────────────────────────────────────────────
-  res.setHeader('Content-Type',  'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection',    'keep-alive');
+  // Every event is buffered (in order) for resumption. If the client goes away
+  // the run keeps going so a reconnect can pick up the rest. JSON mode collects
+  // the same events and replies once at the end.
+  const stream = jsonMode ? collectJobEvents(jobId) : openJobStream(res, jobId);
+  const send   = stream.send;
 
-  const send = data => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  send({ type: 'job', jobId });
 
   // ── TLD stats for dynamic prompt ──────────────────────────────────────────────
   const tldStats    = await getTldStats();
@@ -320,23 +262,41 @@ export default async function handler(req, res) {
   // ── Build prompt ──────────────────────────────────────────────────────────────
   const geo      = answers?.geo      || 'global';
   const audience = answers?.audience || 'both';
-
-  const tldRules = {
+  // Consultation language: answers.language (ISO 639-1), else the description's own
+  const language = typeof answers?.language === 'string' && Object.hasOwn(LANGUAGES, answers.language) ? answers.language : null;
+  const market   = { geo, language: language || 'en' };
+
+  const comShare = n => Math.max(1, Math.round(target * n));
+  const tldRules = constraints.tlds
+    ? `Use only these TLDs: ${constraints.tlds.join(', ')} — the quality gate rejects anything else.`
+    : {
     global:
-      'Include at least 4 .com suggestions — they carry universal trust. ' +
-      'The remaining 6 can use .io, .app, .co, .ai — choose whichever best fits each name.',
+      `Include at least ${comShare(0.4)} .com suggestions — they carry universal trust. ` +
+      'The remaining can use .io, .app, .co, .ai — choose whichever best fits each name.',
     us:
-      'Include at least 5 .com suggestions — US audiences strongly equate .com with credibility. ' +
-      'The remaining 5 can use .io, .app, or .co.',
+      `Include at least ${comShare(0.5)} .com suggestions — US audiences strongly equate .com with credibility. ` +
+      'The remaining can use .io, .app, or .co.',
     europe:
-      'Include at least 3 .com suggestions for global reach. ' +
+      `Include at least ${comShare(0.3)} .com suggestions for global reach. ` +
       'You may also suggest .eu or .co.uk to signal European presence. ' +
       'Remaining slots can use .io, .app, or .co.',
     asia:
-      'Include at least 3 .com suggestions — still the most trusted TLD in Asia-Pacific. ' +
+      `Include at least ${comShare(0.3)} .com suggestions — still the most trusted TLD in Asia-Pacific. ` +
       'You may also suggest .asia or .co for regional relevance. ' +
       'Remaining slots can use .io or .app.',
-  }[geo] || 'Include at least 4 .com suggestions. Remaining can use .io, .app, .co, or .ai.';
+  }[geo] || `Include at least ${comShare(0.4)} .com suggestions. Remaining can use .io, .app, .co, or .ai.`;
+  // Pre-screened seeds from the local generator — raw material, not answers
+  const seeds       = generateNames(description, { constraints, count: SEED_COUNT, seenNames: refine?.shownNames });
+  const seedSection = seeds.length
+    ? `\nSEED IDEAS\n` +
+      `A name generator built these from the description's keywords. They pass the quality gate but are ` +
+      `unchecked. Check the strongest, adapt them, or ignore them — your own concepts are just as welcome:\n` +
+      seeds.map(s => `- ${s.domain} (${s.technique} of ${s.from.join(' + ')})\n`).join('')
+    : '';
+
+  const requiredTldRule = constraints.requiredTlds.length
+    ? `\nREQUIRED: at least one submission on each of ${constraints.requiredTlds.join(', ')}.`
+    : '';
 
   const audienceTone = {
     b2b:
@@ -358,10 +318,10 @@ export default async function handler(req, res) {
     'secure memorable, brandable domain names. You understand linguistics, brand psychology, and how domain ' +
     'choices affect conversion and recall.\n\n' +
     'You have two tools:\n' +
-    '• check_domain — verifies quality standards and real-time availability\n' +
+    `• check_domains — verifies quality standards and real-time availability, up to ${MAX_BATCH} domains per call\n` +
     '• submit_domain — records a confirmed-available domain as a final suggestion\n\n' +
-    `Your goal: submit exactly ${TARGET} confirmed-available domains.\n` +
-    `Budget: at most ${MAX_CHECKS} check_domain calls — use them wisely.\n\n` +
+    `Your goal: submit exactly ${target} confirmed-available domains.\n` +
+    `Budget: at most ${maxChecks} domain checks in total — use them wisely.\n\n` +
     'CRITICAL RULE: When a domain is TAKEN, abandon that entire concept and invent something genuinely new. ' +
     'Never pad, never append, never retry with a single letter changed. ' +
     'The quality gate automatically rejects near-duplicates.';
@@ -370,161 +330,234 @@ export default async function handler(req, res) {
   const audienceLabel = { b2b: 'Businesses (B2B)', b2c: 'Consumers (B2C)', genz: 'Gen Z / young consumers', both: 'Mixed (B2B + B2C)' }[audience] || 'Mixed';
 
   const userMessage =
-    `Find exactly ${TARGET} available domain names for this business.\n\n` +
+    `Find exactly ${target} available domain names for this business.\n\n` +
     `BUSINESS DETAILS\n` +
     `Description: ${description}\n` +
     `Target market: ${geoLabel}\n` +
     `Target audience: ${audienceLabel}\n\n` +
     `AUDIENCE TONE\n${audienceTone}\n\n` +
-    `TLD RULES FOR THIS MARKET\n${tldRules}\n` +
+    `LANGUAGE\n` +
+    (language && language !== 'en'
+      ? `The client works in ${LANGUAGES[language]}. Names should sound natural to ${LANGUAGES[language]} speakers ` +
+        `and may draw on ${LANGUAGES[language]} words. Write every rationale in ${LANGUAGES[language]}.\n`
+      : `Write every rationale in the language of the business description.\n`) +
+    `Names are screened for unfortunate meanings in ${marketLanguages(geo, market.language).map(l => LANGUAGES[l]).join(', ')}; ` +
+    `vulgar ones are rejected. Internationalised names (accents or non-Latin script, e.g. "café.com") are allowed ` +
+    `where the TLD supports them — write them in Unicode.\n\n` +
+    `TLD RULES FOR THIS MARKET\n${tldRules}${requiredTldRule}\n` +
     tldStatsStr + '\n' +
-    `STYLE MIX (across your ${TARGET} submissions)\n` +
-    `- 4 brandable (invented/abstract — like Spotify, Slack, Notion)\n` +
-    `- 3 keyword (descriptive/literal — like Basecamp, Mailchimp)\n` +
-    `- 3 hybrid (brand + keyword blend — like Pinterest, Dropbox)\n\n` +
-    `NAMING REQUIREMENTS\n` +
-    `- 5–12 characters (name only, excluding TLD)\n` +
+    `STYLE MIX (across your ${target} submissions)\n` +
+    (constraints.styleMix.brandable ? `- ${constraints.styleMix.brandable} brandable (invented/abstract — like Spotify, Slack, Notion)\n` : '') +
+    (constraints.styleMix.keyword   ? `- ${constraints.styleMix.keyword} keyword (descriptive/literal — like Basecamp, Mailchimp)\n` : '') +
+    (constraints.styleMix.hybrid    ? `- ${constraints.styleMix.hybrid} hybrid (brand + keyword blend — like Pinterest, Dropbox)\n` : '') +
+    `\nNAMING REQUIREMENTS\n` +
+    describeNameRules(constraints).map(r => `- ${r[0].toUpperCase()}${r.slice(1)}\n`).join('') +
     `- Memorable and easy to spell after hearing it once\n` +
-    `- No hyphens, no numbers\n` +
     `- Each submission must come from a genuinely different creative concept\n\n` +
     `AVAILABILITY STRATEGY\n` +
     `Most obvious .com combinations are already registered. To find available names:\n` +
     `- Favour coined/invented words and unexpected combinations over common English word pairs\n` +
     `- For .com, include at least one non-dictionary element (blend, truncation, suffix like -ly/-ify/-io/-era/-ova)\n` +
-    `- Freely use .io, .app, .co, .ai — these have far more availability than .com\n` +
-    `- The more specific and creative the name, the more likely it is free\n\n` +
+    (constraints.tlds ? '' : `- Freely use .io, .app, .co, .ai — these have far more availability than .com\n`) +
+    `- The more specific and creative the name, the more likely it is free\n` +
+    seedSection + '\n' +
     `WORKFLOW\n` +
-    `1. Think of a strong name concept suited to this business\n` +
-    `2. Call check_domain — inspect the result carefully\n` +
-    `3. If available → immediately call submit_domain\n` +
+    `1. Think of a few strong name concepts suited to this business\n` +
+    `2. Call check_domains with several candidates at once — inspect each result carefully\n` +
+    `3. For each available one → call submit_domain\n` +
     `4. If taken or rejected → invent a completely different concept, do not retry variations\n` +
-    `5. Repeat until you have submitted ${TARGET} domains`;
+    `5. Repeat until you have submitted ${target} domains` +
+    (refine ? refineSection(refine) : '');
 
   // ── Agentic tool-use loop ─────────────────────────────────────────────────────
   const messages  = [{ role: 'user', content: userMessage }];
-  let checksUsed  = 0;
-  let submitted   = 0;
-  const seenNames = []; // names that passed quality gate — used for diversity enforcement
+  // names that passed quality gate — used for diversity enforcement. In refine
+  // mode it starts with every earlier round's names so nothing repeats.
+  const seenNames  = refine ? [...refine.shownNames] : [];
+  const domains    = []; // submitted domains, persisted as this user's consultation history
+  // What check_domains found for each domain this run — submit_domain only
+  // accepts domains confirmed available here.
+  // domain → { status: 'available' | 'taken' | 'inconclusive' | 'rejected', reason, premium, price }
+  const outcomes   = new Map();
+  const screenings = []; // in-flight brand screens, one per submitted domain
+
+  const consultation = {
+    id:          jobId,
+    description,
+    answers:     { geo, audience, ...(language && { language }) },
+    options:     rawOptions,
+    ...(refine && {
+      parentId:   refine.parent.id,
+      feedback:   { liked: refine.liked, disliked: refine.disliked, direction: refine.direction },
+      shownNames: refine.shownNames,
+    }),
+    createdAt:   new Date().toISOString(),
+  };
+  let metrics = null; // per-run timings, see runMetrics()
+  const persist = status =>
+    saveConsultation(userId, { ...consultation, status, domains, ...(metrics && { metrics }) })
+      .catch(e => console.warn('Consultation save failed:', e.message));
+
+  const handlers = {
+    // ── check_domain / check_domains ────────────────────────────────────────
+    // Quality gate and diversity run in order (each name can reject the next),
+    // then the survivors are looked up together
+    async check_domains(batch) {
+      const results = [];
+      const lookup  = [];
+      for (const raw of batch) {
+        const domain = normaliseDomain(raw); // IDNs as punycode
+        if (!isValidDomain(domain)) {
+          results.push({ available: false, reason: 'not a valid domain name — use name.tld, e.g. "threadwise.io"' });
+          continue;
+        }
+        // 1. Quality gate and vulgar meanings in the market's languages (no network)
+        const label   = displayDomain(domain).split('.')[0];
+        const vulgar  = offensiveMeaning(screenLinguistics(label, market));
+        const gateErr = qualityGate(domain, seenNames, constraints) ||
+          (vulgar && `"${vulgar.match}" is ${vulgar.note} in ${LANGUAGES[vulgar.language]}`);
+        if (gateErr) {
+          // A repeat check fails diversity against itself — keep the earlier outcome
+          if (!outcomes.has(domain)) outcomes.set(domain, { status: 'rejected', reason: gateErr });
+          results.push({ available: false, reason: `quality: ${gateErr}` });
+          continue;
+        }
+        // Mark name as seen so near-duplicates fail diversity check
+        seenNames.push(label);
+        results.push(null);
+        lookup.push({ domain, index: results.length - 1 });
+      }
 
-  try {
-    let turns = 0;
-    while (submitted < TARGET && checksUsed < MAX_CHECKS && turns < 20) {
-      turns++;
-      const claudeRes = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'x-api-key':         process.env.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'content-type':      'application/json',
-        },
-        body: JSON.stringify({
-          model:      'claude-sonnet-4-6',
-          max_tokens: 4096,
-          system:     systemPrompt,
-          tools:      TOOLS,
-          messages,
-        }),
-      });
-
-      const data = await claudeRes.json();
-      if (!claudeRes.ok) throw new Error(`Anthropic API: ${claudeRes.status} ${JSON.stringify(data)}`);
-
-      messages.push({ role: 'assistant', content: data.content });
-
-      if (data.stop_reason === 'end_turn') {
-        if (submitted >= TARGET) break;
-        // Claude stopped early — nudge it to continue
-        messages.push({
-          role: 'user',
-          content: `You've submitted ${submitted} of ${TARGET} required domains. Please continue and find ${TARGET - submitted} more available domains.`,
+      // 2. Cache → registrar APIs → RDAP, concurrently (shared with /api/check-domains)
+      const checked = lookup.length
+        ? await checkDomains(lookup.map(l => l.domain), { concurrency: MAX_BATCH })
+        : null;
+      for (const { domain, index } of lookup) {
+        const available = checked.results[domain] ?? null;
+        const price     = checked.premiumPrices[domain] ?? null;
+        recordTld(domain.slice(domain.indexOf('.')), available);
+        const cachedNote = checked.sources[domain] === 'cache' ? ' (cached)' : '';
+        outcomes.set(domain, {
+          status:  available === true ? 'available' : available === false ? 'taken' : 'inconclusive',
+          premium: price !== null,
+          price,
         });
-        send({ type: 'searching', submitted, remaining: TARGET - submitted });
-        continue;
+        results[index] = available === true
+          ? { available: true,  reason: price !== null
+              ? `available (premium ~$${price}/yr)${cachedNote} — submit it now`
+              : `available${cachedNote} — submit it now` }
+          : available === false
+          ? { available: false, reason: `taken${cachedNote} — invent a completely new concept, do not retry variations` }
+          : { available: false, reason: 'inconclusive — treat as unavailable and try a different concept' };
       }
+      return results;
+    },
 
-      if (data.stop_reason === 'tool_use') {
-        const blocks      = data.content.filter(b => b.type === 'tool_use');
-        const toolResults = [];
-
-        // Sequential execution keeps the seenNames diversity list consistent
-        for (const block of blocks) {
-          let result;
-
-          // ── check_domain ────────────────────────────────────────────────────
-          if (block.name === 'check_domain') {
-            checksUsed++;
-            const domain = String(block.input.domain || '').toLowerCase().trim();
-            const tld    = domain.includes('.') ? domain.slice(domain.lastIndexOf('.')) : '';
-
-            // 1. Quality gate (no network)
-            const gateErr = qualityGate(domain, seenNames);
-            if (gateErr) {
-              result = { available: false, reason: `quality: ${gateErr}` };
-            } else {
-              // Mark name as seen so near-duplicates fail diversity check
-              seenNames.push(domain.slice(0, domain.lastIndexOf('.')));
-
-              // 2. Cache lookup (cross-user, accumulated over time)
-              const cached = await getCached(domain);
-              if (cached !== null) {
-                recordTld(tld, cached.available);
-                result = cached.available
-                  ? { available: true,  reason: cached.premium ? `available (premium ~$${cached.price}/yr)` : 'available (cached)' }
-                  : { available: false, reason: 'taken (cached) — invent a completely new concept' };
-              } else {
-                // 3. Live RDAP check
-                const available = await rdapCheck(domain);
-                setCache(domain, available).catch(() => {});
-                recordTld(tld, available);
-                result = available === true
-                  ? { available: true,  reason: 'available — call submit_domain now' }
-                  : available === false
-                  ? { available: false, reason: 'taken — invent a completely new concept, do not retry variations' }
-                  : { available: false, reason: 'inconclusive — treat as unavailable and try a different concept' };
-              }
-            }
-
-          // ── submit_domain ───────────────────────────────────────────────────
-          } else if (block.name === 'submit_domain') {
-            if (submitted < TARGET) {
-              const domain = {
-                name:      String(block.input.name      || '').toLowerCase().trim(),
-                tld:       String(block.input.tld       || '').trim(),
-                style:     ['brandable', 'keyword', 'hybrid'].includes(block.input.style)
-                             ? block.input.style : 'brandable',
-                rationale: String(block.input.rationale || '').trim().slice(0, 120),
-              };
-              submitted++;
-              send({ type: 'domain', domain });
-            }
-            result = { accepted: true, submitted, remaining: TARGET - submitted };
-
-          } else {
-            result = { error: 'unknown tool' };
-          }
-
-          toolResults.push({
-            type:        'tool_result',
-            tool_use_id: block.id,
-            content:     JSON.stringify(result),
-          });
-        }
+    // ── submit_domain ───────────────────────────────────────────────────────
+    async submit_domain(input, { submitted }) {
+      // name and tld are kept in ASCII (punycode for IDNs), like every other
+      // endpoint; IDNs also carry their Unicode form
+      const tld        = normaliseTld(input.tld || '');
+      const fullDomain = normaliseDomain(String(input.name || '') + tld);
+      if (!isValidTld(tld)) {
+        return { accepted: false, error: `invalid TLD "${input.tld ?? ''}" — use the form ".io"` };
+      }
+      const unicode = displayDomain(fullDomain);
+      const domain  = {
+        name:      fullDomain.slice(0, fullDomain.indexOf('.')),
+        tld:       fullDomain.slice(fullDomain.indexOf('.')),
+        ...(unicode !== fullDomain && { unicode }),
+        style:     ['brandable', 'keyword', 'hybrid'].includes(input.style) ? input.style : 'brandable',
+        rationale: String(input.rationale || '').trim().slice(0, 120),
+      };
+
+      // Only domains this run confirmed available can be submitted, once each
+      const outcome = outcomes.get(fullDomain);
+      if (!outcome) {
+        return { accepted: false, error: `${fullDomain} was not checked in this run — call check_domains first` };
+      }
+      if (outcome.status !== 'available') {
+        return { accepted: false, error: {
+          rejected:     `${fullDomain} failed the quality gate (${outcome.reason})`,
+          taken:        `${fullDomain} is taken`,
+          inconclusive: `${fullDomain} could not be confirmed available`,
+        }[outcome.status] + ' — it cannot be submitted' };
+      }
+      if (domains.some(d => d.name + d.tld === fullDomain)) {
+        return { accepted: false, error: `${fullDomain} was already submitted` };
+      }
 
-        messages.push({ role: 'user', content: toolResults });
+      // Keep the last slots for required TLDs that haven't been covered yet
+      const missingTlds = constraints.requiredTlds.filter(t => !domains.some(d => d.tld === t));
+      if (submitted >= target) {
+        return { accepted: false, error: `already submitted ${target} domains` };
+      }
+      if (!missingTlds.includes(domain.tld) && target - submitted <= missingTlds.length) {
+        return { accepted: false, error: `remaining slots are reserved for required TLDs: ${missingTlds.join(', ')}` };
       }
-    }
 
-    // ── Increment usage after successful generation ────────────────────────────
-    if (plan !== 'pro') {
-      incrementUsage(userId).catch(e => console.warn('Usage increment failed:', e.message));
-    }
+      // Premium names carry their registry price so clients never show them as standard-priced
+      Object.assign(domain, { premium: outcome.premium, price: outcome.price });
+      const rated = scoreDomain(domain, { available: true });
+      Object.assign(domain, { score: rated.score, scoreBreakdown: rated.breakdown, signals: rated.signals });
+      domains.push(domain);
+      // Handle lookups call third-party APIs — screen in the background
+      // and emit the domain event once the results are attached
+      screenings.push(screenName(domain, market).then(screen => {
+        Object.assign(domain, screen);
+        send({ type: 'domain', domain });
+      }));
+      return { accepted: true };
+    },
+  };
 
-    send({ type: 'done', count: submitted });
+  const startedAt = Date.now();
+  try {
+    const run = await runAgent({
+      provider: getProvider(),
+      ...modelForPlan(account.plan),
+      system:   systemPrompt,
+      tools:    buildTools(constraints),
+      messages,
+      target,
+      maxChecks,
+      maxTurns,
+      handlers,
+      // The model stopped early and was nudged to continue
+      onNudge:  ({ submitted }) => send({ type: 'searching', submitted, remaining: target - submitted }),
+    });
+
+    // ── Debit one credit once the run reaches done (dropped clients included) ──
+    debitCredit(account.accountId, account.limits)
+      .then(from => { if (!from) console.warn(`No credit left to debit for ${account.accountId}`); })
+      .catch(e => console.warn('Credit debit failed:', e.message));
+
+    const loopEnded = Date.now();
+    await Promise.all(screenings);
+    metrics = runMetrics(run, { startedAt, loopEnded });
+    await persist('complete');
+    send({ type: 'done', count: domains.length, consultationId: consultation.id, metrics });
+    await stream.flush();
+    await finishJob(jobId, 'done');
 
   } catch (err) {
     console.error('suggest.js error:', err);
+    await Promise.allSettled(screenings);
+    if (domains.length > 0) await persist('partial');
     send({ type: 'error', message: 'Failed to generate suggestions. Please try again.' });
+    await stream.flush();
+    await finishJob(jobId, 'error');
   }
 
-  res.end();
+  if (jsonMode) {
+    const failed = stream.events.find(e => e.type === 'error');
+    return res.status(failed ? 502 : 200).json({
+      consultationId: consultation.id,
+      count:          domains.length,
+      domains,
+      ...(metrics && { metrics }),
+      ...(failed && { error: failed.message }),
+    });
+  }
+  if (!stream.closed()) res.end();
 }
@@ -0,0 +1,119 @@
+import {
+  acceptTeamInvite, createTeam, dropTeamInvite, getTeam, inviteTeamMember, pendingInvites,
+  removeTeamMember, resolveAccount, teamForUser, teamSize,
+} from './_lib/accounts.js';
+import { authenticate } from './_lib/auth.js';
+import { findClerkUserByEmail, getClerkUser, getUserPlan, primaryEmail } from './_lib/clerk.js';
+import { PLANS, planLimits } from './_lib/plans.js';
+
+export const config = { maxDuration: 10 };
+
+// GET → { team: { id, name, ownerId, role, members: [{ userId, email }], invites: [{ userId, email }], seats } | null,
+//         invites: [{ teamId, name, invitedBy }] }   invites waiting for the caller
+// POST { email }                      → invite a member by email (owner on the team plan; creates the team on first invite)
+// POST { action: 'accept', teamId }   → join a team you were invited to
+// POST { action: 'decline', teamId }  → turn an invite down
+// DELETE ?userId=                     → remove a member or withdraw an invite (owner), or leave the team (yourself)
+// Members share the owner's team plan credits (see _lib/accounts.js). Users
+// with a paid plan of their own can't join — it would stop charging to it.
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to manage your team.' });
+  const { userId, plan } = auth;
+
+  let team = await teamForUser(userId);
+
+  if (req.method === 'GET') {
+    const invites = await pendingInvites(userId);
+    return res.status(200).json({
+      team:    team && teamView(team, userId),
+      invites: invites.map(t => ({ teamId: t.id, name: t.name, invitedBy: t.invites[userId].invitedBy })),
+    });
+  }
+
+  if (req.method === 'POST') {
+    const action = String(req.body?.action || 'invite');
+
+    if (action === 'accept' || action === 'decline') {
+      const invited = await getTeam(String(req.body?.teamId || ''));
+      if (!invited?.invites?.[userId]) return res.status(404).json({ error: 'That invite is no longer open.' });
+      if (action === 'decline') {
+        await dropTeamInvite(invited, userId);
+        return res.status(200).json({ team: team && teamView(team, userId) });
+      }
+      if (team) return res.status(409).json({ error: 'Leave your current team before joining another.' });
+      if (planLimits(plan).id !== PLANS.free.id) {
+        return res.status(409).json({ error: `You pay for the ${planLimits(plan).name} plan — cancel it before joining a team, or keep using your own credits.` });
+      }
+      team = await acceptTeamInvite(invited, userId);
+      return res.status(200).json({ team: teamView(team, userId) });
+    }
+
+    if (action !== 'invite') return res.status(400).json({ error: 'Unknown action' });
+    if (team && team.ownerId !== userId) return res.status(403).json({ error: 'Only the team owner can invite members.' });
+    const account = await resolveAccount(userId, plan);
+    if (account.plan !== PLANS.team.id) return res.status(403).json({ error: 'Shared credits need the Team plan.' });
+
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Invalid email address' });
+    if (team && teamSize(team) >= PLANS.team.seats) {
+      return res.status(400).json({ error: `The Team plan has ${PLANS.team.seats} seats. Remove a member or invite first.` });
+    }
+
+    let invitee, inviteePlan, owner;
+    try {
+      invitee = await findClerkUserByEmail(email);
+      if (invitee) [inviteePlan, owner] = await Promise.all([getUserPlan(invitee), getClerkUser(userId)]);
+    } catch (err) {
+      console.error('team.js invite error:', err);
+      return res.status(502).json({ error: 'Could not look up that user. Please try again.' });
+    }
+    if (!invitee) return res.status(404).json({ error: 'No Domain-ate account uses that email yet.' });
+    if (invitee === userId) return res.status(400).json({ error: "You're already on your team." });
+    if (team?.members.includes(invitee)) return res.status(409).json({ error: 'That user is already on your team.' });
+    if (await teamForUser(invitee)) return res.status(409).json({ error: 'That user already belongs to another team.' });
+    if (planLimits(inviteePlan).id !== PLANS.free.id) {
+      return res.status(409).json({ error: `That user pays for their own ${planLimits(inviteePlan).name} plan, so they can't join a shared pool.` });
+    }
+
+    team ??= await createTeam(userId);
+    team = await inviteTeamMember(team, invitee, email, primaryEmail(owner));
+    return res.status(200).json({ team: teamView(team, userId) });
+  }
+
+  if (req.method === 'DELETE') {
+    if (!team) return res.status(404).json({ error: "You're not on a team." });
+    const target = String(req.query.userId || userId);
+    if (target === team.ownerId)                      return res.status(400).json({ error: "The owner can't leave their own team." });
+    if (target !== userId && team.ownerId !== userId) return res.status(403).json({ error: 'Only the team owner can remove members.' });
+    if (team.invites?.[target]) {
+      team = await dropTeamInvite(team, target);
+      return res.status(200).json({ team: teamView(team, userId) });
+    }
+    if (!team.members.includes(target))               return res.status(404).json({ error: 'Not a member of this team.' });
+    team = await removeTeamMember(team, target);
+    return res.status(200).json({ team: target === userId ? null : teamView(team, userId) });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+// Member and invite emails are only shown to the owner.
+function teamView(team, userId) {
+  const isOwner = team.ownerId === userId;
+  return {
+    id:      team.id,
+    name:    team.name,
+    ownerId: team.ownerId,
+    role:    isOwner ? 'owner' : 'member',
+    members: team.members.map(m => ({ userId: m, email: isOwner ? team.memberEmails?.[m] || null : null })),
+    invites: isOwner ? Object.entries(team.invites || {}).map(([id, i]) => ({ userId: id, email: i.email })) : [],
+    seats:   PLANS.team.seats,
+  };
+}
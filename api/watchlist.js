@@ -0,0 +1,60 @@
+import { authenticate } from './_lib/auth.js';
+import { isValidDomain, liveCheck, normaliseDomain, setCache } from './_lib/availability.js';
+import {
+  MAX_WATCHED, addWatched, countWatched, listWatched, recordWatchState, removeWatched,
+} from './_lib/watchlist.js';
+
+export const config = { maxDuration: 15 };
+
+// GET    → { watchlist: [{ domain, addedAt, status, expiresAt, history, ... }] }
+// POST   { domain } → add to the signed-in user's watchlist
+// DELETE { domain } (or ?domain=) → remove it
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin',  '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return res.status(200).end();
+  }
+
+  res.setHeader('Access-Control-Allow-Origin',  '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  const auth = await authenticate(req);
+  if (!auth) return res.status(401).json({ error: 'Sign in to use the watchlist.' });
+  const { userId } = auth;
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ watchlist: await listWatched(userId) });
+  }
+
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const domain = normaliseDomain(req.body?.domain || req.query?.domain);
+  if (!isValidDomain(domain)) return res.status(400).json({ error: 'Missing or invalid domain' });
+
+  if (req.method === 'DELETE') {
+    const removed = await removeWatched(userId, domain);
+    return res.status(removed ? 200 : 404).json({ removed });
+  }
+
+  if (await countWatched(userId) >= MAX_WATCHED) {
+    return res.status(400).json({ error: `You can watch up to ${MAX_WATCHED} domains.` });
+  }
+
+  await addWatched(userId, domain);
+
+  // Seed the status so the list shows something before the next cron run
+  try {
+    const check = await liveCheck(domain);
+    await recordWatchState(domain, check);
+    setCache(domain, check.available, null, check.details).catch(() => {});
+  } catch (err) {
+    console.warn('Watchlist seed check failed:', err.message);
+  }
+
+  const watchlist = await listWatched(userId);
+  return res.status(200).json({ watched: watchlist.find(w => w.domain === domain) || { domain } });
+}
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { MAX_BATCH, nudgeMessage, runAgent } from '../api/_lib/agent.js';
+import { checkAndSubmit, createMockProvider } from '../api/_lib/llm/mock.js';
+
+// Tool results the agent sent back for turn `turn` (0-based): the user
+// message that follows that turn's assistant message
+function toolResults(messages, turn) {
+  const at = messages.map((m, i) => m.role === 'assistant' ? i : -1).filter(i => i !== -1)[turn];
+  return messages[at + 1].content.map(block => JSON.parse(block.content));
+}
+
+// Handlers over a fixed availability table; every call is recorded
+function fakeHandlers(available = {}, { accept = () => true } = {}) {
+  const calls = { batches: [], submits: [] };
+  return {
+    calls,
+    check_domains: async batch => {
+      calls.batches.push(batch);
+      return batch.map(d => ({ available: available[d] === true, reason: available[d] ? 'available' : 'taken' }));
+    },
+    submit_domain: async input => {
+      calls.submits.push(input);
+      return accept(input) ? { accepted: true } : { accepted: false, error: 'not checked' };
+    },
+  };
+}
+
+// runAgent extends `messages` in place; the conversation is kept on the state
+async function run(provider, handlers, options = {}) {
+  const messages = [{ role: 'user', content: 'Find names' }];
+  const state    = await runAgent({
+    provider, handlers, messages, model: 'mock', maxTokens: 1024, system: 'test', tools: [],
+    target: 2, maxChecks: 10, maxTurns: 10,
+    ...options,
+  });
+  return { ...state, messages };
+}
+
+const check  = (...domains) => ({ tools: [{ name: 'check_domains', input: { domains } }] });
+const submit = (name, tld)  => ({ tools: [{ name: 'submit_domain', input: { name, tld } }] });
+
+describe('runAgent', () => {
+  test('a turn without tool calls gets the nudge and the loop carries on', async () => {
+    const provider = createMockProvider([{ text: 'Let me think.' }, check('a.io', 'b.io'), submit('a', '.io'), submit('b', '.io')]);
+    const nudges   = [];
+    const state    = await run(provider, fakeHandlers({ 'a.io': true, 'b.io': true }), { onNudge: s => nudges.push(s.turns) });
+
+    assert.deepEqual(nudges, [1]);
+    assert.equal(provider.requests[1].messages.at(-1).content, nudgeMessage(0, 2));
+    assert.equal(state.submitted, 2);
+    assert.equal(state.turns, 4);
+  });
+
+  test('a batch is cut to MAX_BATCH, then to what the budget has left', async () => {
+    const seven    = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].map(n => `${n}.io`);
+    const provider = createMockProvider([check(...seven), check(...seven), check('h.io')]);
+    const handlers = fakeHandlers();
+    const state    = await run(provider, handlers, { maxChecks: 7 });
+
+    assert.deepEqual(handlers.calls.batches, [seven.slice(0, MAX_BATCH), seven.slice(0, 2)]);
+    const [first]  = toolResults(state.messages, 0);
+    assert.deepEqual(first.skipped, seven.slice(MAX_BATCH));
+    assert.match(first.note, /only 5 of 7 domains were checked/);
+    const [second] = toolResults(state.messages, 1);
+    assert.equal(second.results.length, 2);
+    assert.deepEqual(second.skipped, seven.slice(2));
+
+    // Budget spent with nothing available to submit: the loop ends
+    assert.equal(state.checksUsed, 7);
+    assert.equal(state.turns, 2);
+    assert.equal(state.timings.batches, 2);
+  });
+
+  test('with the budget spent, available names can still be submitted but not checked', async () => {
+    const provider = createMockProvider([
+      check('a.io', 'b.io'),
+      { tools: [{ name: 'check_domain', input: { domain: 'c.io' } }, { name: 'check_domains', input: { domains: ['d.io'] } }] },
+      submit('a', '.io'),
+    ]);
+    const state = await run(provider, fakeHandlers({ 'a.io': true }), { maxChecks: 2 });
+
+    assert.deepEqual(toolResults(state.messages, 1), [
+      { available: false, reason: 'check budget spent' },
+      { error: 'check budget spent' },
+    ]);
+    assert.equal(state.submitted, 1);
+    assert.equal(state.unsubmitted, 0);
+    assert.equal(state.turns, 3);
+  });
+
+  test('an empty batch is an error and costs nothing', async () => {
+    const provider = createMockProvider([check()]);
+    const state    = await run(provider, fakeHandlers(), { maxTurns: 1 });
+    assert.deepEqual(toolResults(state.messages, 0), [{ error: 'domains must be a non-empty list' }]);
+    assert.equal(state.checksUsed, 0);
+  });
+
+  test('stops after maxTurns', async () => {
+    const provider = createMockProvider(() => ({ text: 'Still thinking.' }));
+    const state    = await run(provider, fakeHandlers(), { maxTurns: 3 });
+    assert.equal(state.turns, 3);
+    assert.equal(provider.requests.length, 3);
+    assert.equal(state.submitted, 0);
+  });
+
+  test('only accepted submissions count towards the target', async () => {
+    const provider = createMockProvider([
+      check('a.io', 'b.io', 'c.io'),
+      { tools: [
+        { name: 'submit_domain', input: { name: 'a', tld: '.io' } },
+        { name: 'submit_domain', input: { name: 'x', tld: '.io' } },
+      ] },
+      submit('b', '.io'),
+      submit('c', '.io'),
+    ]);
+    const handlers = fakeHandlers({ 'a.io': true, 'b.io': true, 'c.io': true }, { accept: i => i.name !== 'x' });
+    const state    = await run(provider, handlers);
+
+    assert.deepEqual(toolResults(state.messages, 1), [
+      { accepted: true, submitted: 1, remaining: 1 },
+      { accepted: false, error: 'not checked' },
+    ]);
+    assert.equal(state.submitted, 2);
+    assert.equal(state.unsubmitted, 1);  // c.io was never needed
+    assert.equal(state.turns, 3);
+    assert.equal(handlers.calls.submits.length, 3);
+  });
+
+  test('unknown tools get an error result', async () => {
+    const provider = createMockProvider([{ tools: [{ name: 'register_domain', input: {} }] }]);
+    const state    = await run(provider, fakeHandlers(), { maxTurns: 1 });
+    assert.deepEqual(toolResults(state.messages, 0), [{ error: 'unknown tool' }]);
+  });
+
+  test('a refusal stops the run', async () => {
+    const provider = createMockProvider([{ text: 'No.', stopReason: 'refusal' }]);
+    await assert.rejects(run(provider, fakeHandlers()), /declined/);
+  });
+
+  test('a scripted API error propagates', async () => {
+    const provider = createMockProvider([{ error: { status: 529, message: 'overloaded' } }]);
+    await assert.rejects(run(provider, fakeHandlers()), err => err.status === 529);
+  });
+
+  test('checkAndSubmit submits each candidate that comes back available', async () => {
+    const provider = createMockProvider(checkAndSubmit(['a.io', 'b.io', 'c.io']));
+    const handlers = fakeHandlers({ 'b.io': true, 'c.io': true });
+    const state    = await run(provider, handlers);
+
+    assert.deepEqual(handlers.calls.submits.map(s => s.name + s.tld), ['b.io', 'c.io']);
+    assert.equal(state.submitted, 2);
+    assert.equal(state.checksUsed, 3);
+  });
+});
@@ -0,0 +1,22 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseBulkInput } from '../api/_lib/bulk.js';
+
+describe('parseBulkInput', () => {
+  test('bare names get every TLD; full domains are kept as given', () => {
+    assert.deepEqual(parseBulkInput({ list: 'domain,notes\nthreadwise,x\nloomly.co,y', tlds: ['io', '.COM'] }), {
+      domains: ['threadwise.io', 'threadwise.com', 'loomly.co'],
+      invalid: [],
+    });
+  });
+
+  test('IDN TLDs are normalised like suggest and generate do', () => {
+    const parsed = parseBulkInput({ domains: ['пример', 'bad_name'], tlds: ['рф', '.xn--p1ai'] });
+    assert.deepEqual(parsed, { domains: ['xn--e1afmkfd.xn--p1ai'], invalid: ['bad_name.xn--p1ai'] });
+  });
+
+  test('errors for empty input and bare names without TLDs', () => {
+    assert.match(parseBulkInput({}).error, /Provide a list/);
+    assert.deepEqual(parseBulkInput({ domains: ['threadwise'] }), { error: 'No valid domains provided', invalid: ['threadwise'] });
+  });
+});
@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { rejectRequest } from '../api/_lib/auth.js';
+import domainPrice from '../api/domain-price.js';
+import { installFakeRedis } from './helpers/fake-redis.js';
+import { fakeRequest, fakeResponse } from './helpers/http.js';
+
+const redis = installFakeRedis();
+after(() => redis.restore());
+
+test('domain-price sends CORS headers on an API key rejection', async () => {
+  const res = fakeResponse();
+  await domainPrice(fakeRequest({ headers: { 'x-api-key': 'da_live_not_a_key' }, body: { tlds: ['.com'] } }), res);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.getHeader('Access-Control-Allow-Origin'), '*');
+});
+
+test('rejectRequest exposes Retry-After to browsers', () => {
+  const res = fakeResponse();
+  rejectRequest(res, { error: 'Too many requests', status: 429, retryAfter: 12 });
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.getHeader('Retry-After'), '12');
+  assert.equal(res.getHeader('Access-Control-Expose-Headers'), 'Retry-After');
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { displayDomain, isValidDomain, normaliseDomain } from '../api/_lib/availability.js';
+import { isValidTld, normaliseTld } from '../api/_lib/constraints.js';
+
+describe('normaliseDomain', () => {
+  test('lowercases, trims and drops a trailing dot', () => {
+    assert.equal(normaliseDomain('  Example.COM. '), 'example.com');
+  });
+
+  test('IDNs become punycode and display as Unicode again', () => {
+    assert.equal(normaliseDomain('Café.com'), 'xn--caf-dma.com');
+    assert.equal(normaliseDomain('例え.テスト'), 'xn--r8jz45g.xn--zckzah');
+    assert.equal(displayDomain('xn--caf-dma.com'), 'café.com');
+  });
+
+  test('empty input gives an empty string', () => {
+    assert.equal(normaliseDomain(''), '');
+    assert.equal(normaliseDomain(null), '');
+  });
+});
+
+describe('isValidDomain', () => {
+  test('one label and a TLD, punycode allowed', () => {
+    for (const domain of ['foo.com', 'foo-bar.io', 'xn--caf-dma.com', 'xn--r8jz45g.xn--zckzah']) {
+      assert.equal(isValidDomain(domain), true, domain);
+    }
+  });
+
+  test('second-level suffixes only from the list', () => {
+    assert.equal(isValidDomain('foo.co.uk'), true);
+    assert.equal(isValidDomain('foo.com.au'), true);
+    assert.equal(isValidDomain('foo.uk.co'), false);
+  });
+
+  test('subdomains and malformed labels are rejected', () => {
+    for (const domain of ['www.foo.com', 'a.b.co.uk', 'foo', '-ab.com', 'ab-.com', 'ab--c.com', 'a.b', 'foo.c0m', `${'a'.repeat(64)}.com`]) {
+      assert.equal(isValidDomain(domain), false, domain);
+    }
+  });
+});
+
+describe('normaliseTld', () => {
+  test('adds the dot and lowercases', () => {
+    assert.equal(normaliseTld('io'), '.io');
+    assert.equal(normaliseTld(' .CO.UK '), '.co.uk');
+  });
+
+  test('IDN TLDs become punycode', () => {
+    assert.equal(normaliseTld('рф'), '.xn--p1ai');
+    assert.equal(normaliseTld('.рф'), '.xn--p1ai');
+    assert.equal(isValidTld(normaliseTld('рф')), true);
+  });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { after, describe, test } from 'node:test';
+import { parseConstraints } from '../api/_lib/constraints.js';
+import { extractKeywords, generateNames } from '../api/_lib/generator.js';
+import { editDist, qualityGate } from '../api/_lib/quality.js';
+import generate from '../api/generate.js';
+import { installFakeRedis } from './helpers/fake-redis.js';
+import { fakeRequest, fakeResponse } from './helpers/http.js';
+
+const DESCRIPTION = 'Team chat and project notes';
+
+// Every name must pass the gate against the names returned before it
+function assertGated(names, constraints, seenNames = []) {
+  const seen = [...seenNames];
+  for (const n of names) {
+    assert.equal(qualityGate(n.domain, seen, constraints), null, n.domain);
+    seen.push(n.name);
+  }
+}
+
+describe('extractKeywords', () => {
+  test('content words in order, without stopwords, duplicates or plurals', () => {
+    assert.deepEqual(extractKeywords('A fast booking app for dog walkers and pet sitters; dogs love it'), [
+      'booking', 'dog', 'walkers', 'pet', 'sitters', 'love',
+    ]);
+    assert.deepEqual(extractKeywords(DESCRIPTION), ['team', 'chat', 'project', 'note']);
+  });
+
+  test('keeps short words with synonyms and stops at the limit', () => {
+    assert.deepEqual(extractKeywords('AI tools', 1), ['ai']);
+  });
+});
+
+describe('generateNames', () => {
+  test('the same description always gives the same names', () => {
+    const names = generateNames(DESCRIPTION, { count: 5 });
+    assert.deepEqual(names.map(n => n.domain), ['chathat.com', 'noteam.io', 'chatera.co', 'talkwalk.app', 'chato.ai']);
+    assert.deepEqual(names[1], {
+      domain: 'noteam.io', name: 'noteam', tld: '.io', style: 'brandable', technique: 'blend', from: ['note', 'team'], score: names[1].score,
+    });
+    assert.deepEqual(generateNames(DESCRIPTION, { count: 5 }), names);
+  });
+
+  test('every technique contributes names', () => {
+    const names = generateNames(DESCRIPTION, { count: 50 });
+    for (const technique of ['blend', 'portmanteau', 'suffix', 'truncate', 'rhyme', 'compound']) {
+      assert.ok(names.some(n => n.technique === technique), technique);
+    }
+    assert.ok(names.filter(n => n.technique === 'compound').every(n => n.style === 'hybrid'));
+  });
+
+  test('every name passes the quality gate, diversity check included', () => {
+    const { constraints } = parseConstraints(null);
+    assertGated(generateNames(DESCRIPTION, { count: 50 }), constraints);
+  });
+
+  test('names follow the constraints', () => {
+    const { constraints } = parseConstraints({ tlds: ['.io'], maxLength: 8, mustInclude: { text: 'chat', position: 'prefix' } });
+    const names = generateNames(DESCRIPTION, { constraints, count: 50 });
+    assert.ok(names.length > 0);
+    assert.ok(names.every(n => n.tld === '.io' && n.name.startsWith('chat') && n.name.length <= 8));
+    assertGated(names, constraints);
+  });
+
+  test('count is an upper bound', () => {
+    assert.equal(generateNames(DESCRIPTION, { count: 3 }).length, 3);
+    assert.deepEqual(generateNames('the and of', { count: 3 }), []);
+  });
+
+  test('seenNames are never repeated or closely echoed', () => {
+    const first = generateNames(DESCRIPTION, { count: 5 }).map(n => n.name);
+    const next  = generateNames(DESCRIPTION, { count: 10, seenNames: first });
+    assert.equal(next.length, 10);
+    for (const n of next) assert.ok(first.every(seen => editDist(n.name, seen) > 2), n.name);
+    assertGated(next, parseConstraints(null).constraints, first);
+  });
+});
+
+describe('/api/generate', () => {
+  const redis = installFakeRedis();
+  after(() => redis.restore());
+
+  const call = body => {
+    const res = fakeResponse();
+    return generate(fakeRequest({ body }), res).then(() => res);
+  };
+
+  test('free without signing in; body count and options apply', async () => {
+    const res = await call({ description: DESCRIPTION, count: 4, options: { tlds: ['.co'], count: 25 } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.keywords, ['team', 'chat', 'project', 'note']);
+    assert.equal(res.body.names.length, 4);
+    assert.ok(res.body.names.every(n => n.tld === '.co'));
+  });
+
+  test('rejects a missing description, a bad count and bad options', async () => {
+    assert.equal((await call({})).statusCode, 400);
+    assert.equal((await call({ description: DESCRIPTION, count: 0 })).statusCode, 400);
+    assert.equal((await call({ description: DESCRIPTION, count: 51 })).statusCode, 400);
+    assert.equal((await call({ description: DESCRIPTION, options: [] })).statusCode, 400);
+  });
+});
@@ -0,0 +1,48 @@
+import { generateKeyPairSync, sign } from 'node:crypto';
+
+// ── Fake Clerk ───────────────────────────────────────────────────────────────
+// Signs session JWTs with a throwaway RSA key and answers the backend API
+// calls in api/_lib/clerk.js from an in-memory user table. Pass
+// clerk.fetch as installFakeRedis()'s fallback.
+
+export const ISSUER = 'https://clerk.fake.test';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+
+const b64 = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// users: { userId: { email, plan } }
+export function fakeClerk(users = {}) {
+  const record = id => users[id] && {
+    id,
+    primary_email_address_id: `idn_${id}`,
+    email_addresses: [{ id: `idn_${id}`, email_address: users[id].email }],
+    public_metadata: { plan: users[id].plan || 'free' },
+    private_metadata: {},
+  };
+
+  return {
+    users,
+
+    // Authorization header for `userId`, with their plan in the claims
+    bearer(userId) {
+      const header  = b64({ alg: 'RS256', kid: JWK.kid, typ: 'JWT' });
+      const payload = b64({ sub: userId, iss: ISSUER, exp: Math.floor(Date.now() / 1000) + 600, metadata: { plan: users[userId]?.plan || 'free' } });
+      const sig     = sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+      return `Bearer ${header}.${payload}.${sig}`;
+    },
+
+    async fetch(url) {
+      const u = new URL(String(url));
+      if (u.origin === ISSUER && u.pathname === '/.well-known/jwks.json') return Response.json({ keys: [JWK] });
+      if (u.origin !== 'https://api.clerk.com') throw new TypeError(`unexpected fetch: ${url}`);
+      if (u.pathname === '/v1/users') {
+        const email = u.searchParams.get('email_address');
+        return Response.json(Object.keys(users).filter(id => users[id].email === email).map(record));
+      }
+      const id = decodeURIComponent(u.pathname.match(/^\/v1\/users\/([^/]+)/)?.[1] || '');
+      return users[id] ? Response.json(record(id)) : new Response('{}', { status: 404 });
+    },
+  };
+}
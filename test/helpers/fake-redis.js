@@ -0,0 +1,126 @@
+// ── In-memory Upstash stand-in ───────────────────────────────────────────────
+// Replaces global fetch so the REST helpers in api/_lib/redis.js talk to a
+// Map instead of Upstash. Covers the commands the tests exercise. EVAL (Lua)
+// goes to `evalScript(keys, args)` when given, and otherwise answers with an
+// error, which the helpers treat like an outage.
+// Requests to any other URL go to `fallback` (default: a network error).
+
+const BASE = 'http://fake-redis.test';
+
+class ZSet extends Map {}  // member → score
+
+function toStrings(values) {
+  return values.map(String);
+}
+
+export function installFakeRedis({ fallback, evalScript } = {}) {
+  const store   = new Map();  // key → string | Map (hash) | ZSet | Set | string[]
+  const expires = new Map();  // key → ms timestamp
+  const saved   = { fetch: globalThis.fetch, url: process.env.UPSTASH_REDIS_REST_URL, token: process.env.UPSTASH_REDIS_REST_TOKEN };
+
+  const live = key => {
+    if (expires.has(key) && expires.get(key) <= Date.now()) { store.delete(key); expires.delete(key); }
+    return store.get(key);
+  };
+  const hash = key => { if (!(live(key) instanceof Map)) store.set(key, new Map()); return store.get(key); };
+  const set  = key => { if (!(live(key) instanceof Set)) store.set(key, new Set()); return store.get(key); };
+  const list = key => { if (!Array.isArray(live(key))) store.set(key, []); return store.get(key); };
+  const zset = key => { if (!(live(key) instanceof ZSet)) store.set(key, new ZSet()); return store.get(key); };
+  const score = bound => bound === '-inf' ? -Infinity : bound === '+inf' ? Infinity : Number(bound);
+
+  function run([cmd, key, ...args]) {
+    switch (cmd.toUpperCase()) {
+      case 'GET':      return live(key) ?? null;
+      case 'MGET':     return [key, ...args].map(k => live(k) ?? null);
+      case 'SET': {
+        const opts = args.slice(1).map(a => a.toUpperCase());
+        if (opts.includes('NX') && live(key) !== undefined) return null;
+        store.set(key, args[0]);
+        expires.delete(key);
+        const ex = opts.indexOf('EX');
+        if (ex !== -1) expires.set(key, Date.now() + Number(args[ex + 2]) * 1000);
+        return 'OK';
+      }
+      case 'DEL':      return [key, ...args].filter(k => live(k) !== undefined && store.delete(k)).length;
+      case 'EXISTS':   return live(key) === undefined ? 0 : 1;
+      case 'EXPIRE':   if (live(key) === undefined) return 0; expires.set(key, Date.now() + Number(args[0]) * 1000); return 1;
+      case 'INCR':
+      case 'INCRBY':
+      case 'DECRBY': {
+        const by = cmd.toUpperCase() === 'INCR' ? 1 : Number(args[0]) * (cmd.toUpperCase() === 'DECRBY' ? -1 : 1);
+        const n  = Number(live(key) ?? 0) + by;
+        store.set(key, String(n));
+        return n;
+      }
+      case 'HSET': {
+        const h = hash(key);
+        let added = 0;
+        for (let i = 0; i < args.length; i += 2) { if (!h.has(args[i])) added++; h.set(args[i], args[i + 1]); }
+        return added;
+      }
+      case 'HSETNX':   { const h = hash(key); if (h.has(args[0])) return 0; h.set(args[0], args[1]); return 1; }
+      case 'HGET':     return hash(key).get(args[0]) ?? null;
+      case 'HDEL':     return args.filter(f => hash(key).delete(f)).length;
+      case 'HGETALL':  return [...hash(key)].flat();
+      case 'HLEN':     return hash(key).size;
+      case 'HINCRBY':  { const h = hash(key); const n = Number(h.get(args[0]) ?? 0) + Number(args[1]); h.set(args[0], String(n)); return n; }
+      case 'SADD':     { const s = set(key); const n = args.filter(m => !s.has(m)).length; args.forEach(m => s.add(m)); return n; }
+      case 'SREM':     return args.filter(m => set(key).delete(m)).length;
+      case 'SMEMBERS': return [...set(key)];
+      case 'SISMEMBER': return set(key).has(args[0]) ? 1 : 0;
+      case 'SCARD':    return set(key).size;
+      case 'LPUSH':    { const l = list(key); l.unshift(...args.reverse()); return l.length; }
+      case 'LRANGE':   { const l = list(key); const end = Number(args[1]); return l.slice(Number(args[0]), end < 0 ? l.length + end + 1 : end + 1); }
+      case 'LTRIM':    { const l = list(key); const end = Number(args[1]); store.set(key, l.slice(Number(args[0]), end < 0 ? l.length + end + 1 : end + 1)); return 'OK'; }
+      case 'ZADD':     { const z = zset(key); let n = 0; for (let i = 0; i < args.length; i += 2) { if (!z.has(args[i + 1])) n++; z.set(args[i + 1], Number(args[i])); } return n; }
+      case 'ZREM':     return args.filter(m => zset(key).delete(m)).length;
+      case 'ZCARD':    return zset(key).size;
+      case 'ZRANGEBYSCORE': {
+        const rows = [...zset(key)].filter(([, sc]) => sc >= score(args[0]) && sc <= score(args[1])).sort((a, b) => a[1] - b[1]);
+        return args.includes('WITHSCORES') ? rows.flatMap(([m, sc]) => [m, String(sc)]) : rows.map(([m]) => m);
+      }
+      case 'EVAL': {
+        if (!evalScript) throw new Error('ERR fake redis does not run scripts');
+        const n = Number(args[0]);
+        return evalScript(args.slice(1, n + 1), args.slice(n + 1));
+      }
+      default:         throw new Error(`ERR fake redis does not support ${cmd}`);
+    }
+  }
+
+  function fromPath(url) {
+    const [path, query] = url.slice(BASE.length + 1).split('?');
+    const args = path.split('/').map(decodeURIComponent);
+    const ex   = query?.match(/EX=(\d+)/);
+    return ex ? [...args, 'EX', ex[1]] : args;
+  }
+
+  globalThis.fetch = async (url, opts = {}) => {
+    url = String(url);
+    if (!url.startsWith(BASE)) {
+      if (fallback) return fallback(url, opts);
+      throw new TypeError('fetch failed');
+    }
+    const args = opts.method === 'POST' ? JSON.parse(opts.body) : fromPath(url);
+    try {
+      return new Response(JSON.stringify({ result: run(toStrings(args)) }));
+    } catch (err) {
+      return new Response(JSON.stringify({ error: err.message }), { status: 400 });
+    }
+  };
+  process.env.UPSTASH_REDIS_REST_URL   = BASE;
+  process.env.UPSTASH_REDIS_REST_TOKEN = 'test';
+
+  return {
+    store,
+    command: (...args) => run(toStrings(args)),
+    clear:   () => { store.clear(); expires.clear(); },
+    restore() {
+      globalThis.fetch = saved.fetch;
+      if (saved.url === undefined) delete process.env.UPSTASH_REDIS_REST_URL;
+      else process.env.UPSTASH_REDIS_REST_URL = saved.url;
+      if (saved.token === undefined) delete process.env.UPSTASH_REDIS_REST_TOKEN;
+      else process.env.UPSTASH_REDIS_REST_TOKEN = saved.token;
+    },
+  };
+}
@@ -0,0 +1,21 @@
+// ── Fake Vercel request / response ───────────────────────────────────────────
+// Enough of the Node helpers (status, json, end, setHeader) to call an
+// api/*.js handler directly and inspect what it sent.
+
+export function fakeRequest({ method = 'POST', headers = {}, body = {}, query = {} } = {}) {
+  return { method, headers, body, query, socket: { remoteAddress: '203.0.113.7' } };
+}
+
+export function fakeResponse() {
+  const res = {
+    statusCode: 200,
+    headers:    {},
+    body:       undefined,
+    setHeader(name, value) { res.headers[name.toLowerCase()] = value; return res; },
+    getHeader(name)        { return res.headers[name.toLowerCase()]; },
+    status(code)           { res.statusCode = code; return res; },
+    json(body)             { res.body = body; return res; },
+    end(body)              { res.body = body; return res; },
+  };
+  return res;
+}
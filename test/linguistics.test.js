@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { MARKET_LANGUAGES, marketLanguages, offensiveMeaning, screenLinguistics } from '../api/_lib/linguistics.js';
+
+// The meaning flags for a name, as "lang:word"
+function meanings(name, options) {
+  return screenLinguistics(name, options).flags.filter(f => f.kind === 'meaning').map(f => `${f.language}:${f.match}`);
+}
+
+describe('word matching', () => {
+  const europe = { geo: 'europe' };
+
+  test('words of 5+ letters match anywhere', () => {
+    assert.deepEqual(meanings('lamuerte', europe), ['es:muerte']);
+    assert.deepEqual(meanings('muerteco', europe), ['es:muerte']);
+    assert.deepEqual(meanings('scampi', europe), ['en:scam']);
+  });
+
+  test('shorter words match the whole name, or its start or end next to a dictionary word', () => {
+    assert.deepEqual(meanings('mort', europe), ['fr:mort']);
+    assert.deepEqual(meanings('giftbox', europe), ['de:gift']);
+    assert.deepEqual(meanings('culbox', europe), ['fr:cul']);
+    assert.deepEqual(meanings('culture', europe), []);
+    assert.deepEqual(meanings('mortgage', europe), []);
+    assert.deepEqual(meanings('mistral', europe), []);
+  });
+
+  test('4-letter words also match next to a short remainder: 2 letters, or 3 for vulgar words', () => {
+    assert.deepEqual(meanings('giftly', europe), ['de:gift']);
+    assert.deepEqual(meanings('regift', europe), ['de:gift']);
+    assert.deepEqual(meanings('giftery', europe), []);
+    assert.deepEqual(meanings('shitake', europe), ['en:shit']);
+    assert.deepEqual(meanings('fuckit', europe), ['en:fuck']);
+    assert.deepEqual(meanings('shitakes', europe), []);
+  });
+
+  test('romanised words that are also English words only match the whole name', () => {
+    const japan = { geo: 'asia', language: 'ja' };
+    assert.deepEqual(meanings('sunshine', japan), []);
+    assert.deepEqual(meanings('shinebox', japan), []);
+    assert.deepEqual(meanings('shine', japan), ['ja:shine']);
+  });
+
+  test('accents are dropped; names in other scripts are not screened', () => {
+    assert.deepEqual(meanings('Mört', europe), ['fr:mort']);
+    assert.deepEqual(screenLinguistics('пример', europe).flags, []);
+  });
+
+  test('sound flags are low severity', () => {
+    const flags = screenLinguistics('thrive', { geo: 'us' }).flags;
+    assert.deepEqual(flags, [{ language: 'es', kind: 'sound', severity: 'low', note: 'no "th" sound' }]);
+  });
+});
+
+describe('marketLanguages', () => {
+  test("a market's languages, plus the consultation's own", () => {
+    assert.deepEqual(marketLanguages('us', 'en'), ['en', 'es']);
+    assert.deepEqual(marketLanguages('us', 'ja'), ['en', 'es', 'ja']);
+    assert.deepEqual(marketLanguages('asia', 'zh'), MARKET_LANGUAGES.asia);
+  });
+
+  test('unknown markets fall back to global; unknown languages are ignored', () => {
+    assert.deepEqual(marketLanguages('mars', 'xx'), MARKET_LANGUAGES.global);
+    assert.deepEqual(marketLanguages('us', 'toString'), ['en', 'es']);
+    assert.deepEqual(marketLanguages('us'), ['en', 'es']);
+  });
+
+  test('screening only covers those languages', () => {
+    assert.deepEqual(meanings('giftbox', { geo: 'us' }), []);
+    assert.deepEqual(meanings('giftbox', { geo: 'us', language: 'de' }), ['de:gift']);
+  });
+});
+
+describe('offensiveMeaning', () => {
+  test('returns the first high-severity meaning', () => {
+    assert.deepEqual(offensiveMeaning(screenLinguistics('shitake')), {
+      language: 'en', kind: 'meaning', severity: 'high', match: 'shit', note: 'vulgar',
+    });
+  });
+
+  test('ignores negative meanings and sounds', () => {
+    assert.equal(offensiveMeaning(screenLinguistics('mortbox', { geo: 'europe' })), null);
+    assert.equal(offensiveMeaning(screenLinguistics('thrive', { geo: 'us' })), null);
+    assert.equal(offensiveMeaning(screenLinguistics('sunshine', { geo: 'asia' })), null);
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import { parseAvailability } from '../api/_lib/registrars/godaddy.js';
+import { parseCheckResponse, parsePricingSheet } from '../api/_lib/registrars/namecheap.js';
+import { parsePricing } from '../api/_lib/registrars/porkbun.js';
+
+// Recorded responses, trimmed to a few domains / TLDs
+const fixture = name => readFileSync(new URL(`./fixtures/registrars/${name}`, import.meta.url), 'utf8');
+const json    = name => JSON.parse(fixture(name));
+
+describe('namecheap', () => {
+  test('parseCheckResponse reads availability and premium prices', () => {
+    assert.deepEqual(parseCheckResponse(fixture('namecheap-check.xml')), {
+      results:       { 'threadwise.io': true, 'google.com': false, 'loom.ai': true },
+      premiumPrices: { 'loom.ai': 2888 },
+    });
+  });
+
+  test('a Status="ERROR" reply throws with the API message', () => {
+    assert.throws(() => parseCheckResponse(fixture('namecheap-error.xml')), /Parameter RequestIP is invalid/);
+    assert.throws(() => parsePricingSheet(fixture('namecheap-error.xml')), /Namecheap API returned an error/);
+  });
+
+  test('parsePricingSheet totals per-year prices plus the ICANN fee', () => {
+    assert.deepEqual(parsePricingSheet(fixture('namecheap-pricing.xml')), {
+      com: {
+        register: { 1: 10.48, 2: 25.36 },  // 3-year and 6-month quotes aren't offered durations
+        renew:    { 1: 16.08 },
+      },
+      io: {
+        register: { 1: 34.98 },
+        transfer: { 1: 39.98 },            // empty YourPrice falls back to Price
+      },
+    });
+  });
+
+  test('a pricing sheet with no usable prices throws', () => {
+    const empty = '<ApiResponse Status="OK"><CommandResponse><UserGetPricingResult /></CommandResponse></ApiResponse>';
+    assert.throws(() => parsePricingSheet(empty), /was empty/);
+  });
+});
+
+describe('porkbun', () => {
+  test('parsePricing lowercases TLDs and skips incomplete entries', () => {
+    assert.deepEqual(parsePricing(json('porkbun-pricing.json')), {
+      com: { register: { 1: 10.37 }, renew: { 1: 10.37 }, transfer: { 1: 10.37 } },
+      io:  { register: { 1: 28.12 }, renew: { 1: 42.09 }, transfer: { 1: 42.09 } },
+      app: { register: { 1: 11.84 }, renew: { 1: 13.99 } },
+    });
+  });
+
+  test('an error status throws', () => {
+    assert.throws(() => parsePricing(json('porkbun-error.json')), /Porkbun pricing returned an error/);
+    assert.throws(() => parsePricing(null), /Porkbun pricing returned an error/);
+  });
+});
+
+describe('godaddy', () => {
+  test('parseAvailability keeps definitive answers only', () => {
+    assert.deepEqual(parseAvailability(json('godaddy-available.json')), {
+      results:       { 'threadwise.io': true, 'google.com': false },
+      premiumPrices: {},
+    });
+  });
+
+  test('a body without domains is empty, not an error', () => {
+    assert.deepEqual(parseAvailability({ code: 'UNABLE_TO_AUTHENTICATE' }), { results: {}, premiumPrices: {} });
+  });
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { qualityGate } from '../api/_lib/quality.js';
+import { countSyllables, detectTldHack, scoreDomain, segmentWords, spellingAmbiguities } from '../api/_lib/scoring.js';
+import score from '../api/score.js';
+import { fakeRequest, fakeResponse } from './helpers/http.js';
+
+// Breakdown as { key: pts }
+const points = result => Object.fromEntries(result.breakdown.map(r => [r.key, r.pts]));
+
+describe('countSyllables', () => {
+  test('counts vowel groups, with silent-e and "-le" endings', () => {
+    const cases = { table: 2, cake: 1, idea: 2, rhythm: 1, quillora: 3, fernly: 2, a: 1, '': 0 };
+    for (const [word, n] of Object.entries(cases)) assert.equal(countSyllables(word), n, word);
+  });
+});
+
+describe('spellingAmbiguities', () => {
+  test('names each pattern a listener could misspell', () => {
+    assert.deepEqual(spellingAmbiguities('phone'), ['ph sounds like f']);
+    assert.deepEqual(spellingAmbiguities('seed'), ['double letter', 'ee / ea / ie vowel']);
+    assert.deepEqual(spellingAmbiguities('wrap'), ['silent letter']);
+    assert.deepEqual(spellingAmbiguities('shy'), ['y as a vowel']);
+    assert.deepEqual(spellingAmbiguities('lumora'), []);
+  });
+});
+
+describe('segmentWords', () => {
+  test('splits into as few dictionary words as possible', () => {
+    assert.deepEqual(segmentWords('bluefox'), ['blue', 'fox']);
+    assert.deepEqual(segmentWords('sunbeamcloud'), ['sun', 'beam', 'cloud']);
+    assert.deepEqual(segmentWords('boxes'), ['boxes']);
+  });
+
+  test('coined names are null', () => {
+    assert.equal(segmentWords('quillora'), null);
+  });
+});
+
+describe('detectTldHack', () => {
+  test('the name and TLD read as one word, or a word runs across the dot', () => {
+    assert.equal(detectTldHack('delicio', '.us'), 'delicious');
+    assert.equal(detectTldHack('sunbe', '.am'), 'sun beam');
+  });
+
+  test('words that end at the dot, and second-level TLDs, are not hacks', () => {
+    assert.equal(detectTldHack('sun', '.beam'), null);
+    assert.equal(detectTldHack('brew', '.co'), null);
+    assert.equal(detectTldHack('delicio', '.co.uk'), null);
+  });
+});
+
+describe('scoreDomain', () => {
+  test('a short dictionary .com', () => {
+    const result = scoreDomain({ name: 'cafe', tld: '.com', style: 'brandable' }, { available: true });
+    assert.equal(result.score, 89);
+    assert.deepEqual(points(result), {
+      tld: 20, availability: 18, length: 14, pronounceable: 10, syllables: 5, spelling: 5, clean: 8, keyword: 3, dictionary: 6,
+    });
+    assert.deepEqual(result.signals, {
+      syllables: 1, ambiguities: ['hard c / k / q'], dictionaryWords: ['cafe'], tldHack: null, vowelRatio: 0.5,
+    });
+  });
+
+  test('a coined name with unknown availability', () => {
+    const result = scoreDomain({ name: 'quillora', tld: '.io', style: 'hybrid' });
+    assert.equal(result.score, 69);
+    assert.deepEqual(points(result), {
+      tld: 16, availability: 7, length: 11, pronounceable: 10, syllables: 8, spelling: 2, clean: 8, keyword: 5, dictionary: 2,
+    });
+  });
+
+  test('a TLD hack gets at least 16 TLD points', () => {
+    const result = scoreDomain({ name: 'sunbe', tld: '.am' });
+    assert.equal(result.signals.tldHack, 'sun beam');
+    assert.equal(points(result).tld, 16);
+    assert.equal(result.score, 73);
+  });
+
+  test('hyphens, digits and taken names lose points', () => {
+    const result = scoreDomain({ name: 'get-2go', tld: '.net', style: 'keyword' }, { available: false });
+    assert.deepEqual(points(result), {
+      tld: 8, availability: 0, length: 14, pronounceable: 10, syllables: 8, spelling: 8, clean: 0, keyword: 8, dictionary: 2,
+    });
+    assert.equal(result.score, 58);
+  });
+
+  test('an IDN scores like its Unicode label', () => {
+    const idn = scoreDomain({ name: 'xn--caf-dma', tld: '.com', style: 'brandable' }, { available: true });
+    assert.deepEqual(idn, scoreDomain({ name: 'cafe', tld: '.com', style: 'brandable' }, { available: true }));
+  });
+
+  test('names in other scripts get the middle score for the letter checks', () => {
+    const result = scoreDomain({ name: 'xn--r8jz45g', tld: '.jp' }, { available: true });
+    assert.deepEqual(points(result), {
+      tld: 8, availability: 18, length: 14, pronounceable: 7, syllables: 5, spelling: 5, clean: 8, keyword: 3, dictionary: 2,
+    });
+    assert.deepEqual(result.signals, { syllables: null, ambiguities: [], dictionaryWords: [], tldHack: null, vowelRatio: null });
+  });
+
+  test('agrees with the quality gate on pronounceability', () => {
+    for (const name of ['nymphly', 'tyrstalo', 'strengths', 'aeiouba', 'lumora', 'fernly']) {
+      const gate = qualityGate(`${name}.com`, []);
+      const hard = gate !== null && /unpronounceable/.test(gate);
+      assert.equal(points(scoreDomain({ name, tld: '.com' })).pronounceable, hard ? 4 : 10, name);
+    }
+  });
+});
+
+describe('/api/score', () => {
+  test('scores caller-supplied availability without a lookup', async () => {
+    const res = fakeResponse();
+    await score(fakeRequest({ body: { domains: [{ domain: 'Café.com', available: true }, 'not a domain'] } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(Object.keys(res.body.scores), ['xn--caf-dma.com']);
+    assert.equal(res.body.scores['xn--caf-dma.com'].score, 89);
+    assert.equal(res.body.scores['xn--caf-dma.com'].available, true);
+  });
+
+  test('rejects requests without domains', async () => {
+    const res = fakeResponse();
+    await score(fakeRequest({ body: {} }), res);
+    assert.equal(res.statusCode, 400);
+  });
+});
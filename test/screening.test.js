@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { checkHandles } from '../api/_lib/handles.js';
+import { screenTrademarks } from '../api/_lib/trademarks.js';
+
+describe('checkHandles with stub providers', () => {
+  const stub = (platform, check) => ({ platform, label: platform.toUpperCase(), check });
+
+  test('results come back in provider order with each verdict', async () => {
+    const seen = [];
+    const results = await checkHandles('Thread-Wise!', {
+      cache: false,
+      providers: [
+        stub('free',    async h => { seen.push(h); return true; }),
+        stub('taken',   async () => false),
+        stub('unknown', async () => null),
+      ],
+    });
+    assert.deepEqual(seen, ['threadwise']);
+    assert.deepEqual(results, [
+      { platform: 'free',    label: 'FREE',    available: true },
+      { platform: 'taken',   label: 'TAKEN',   available: false },
+      { platform: 'unknown', label: 'UNKNOWN', available: null },
+    ]);
+  });
+
+  test('a provider that throws is unknown and the others still answer', async () => {
+    const results = await checkHandles('threadwise', {
+      cache: false,
+      providers: [stub('broken', async () => { throw new Error('HTTP 500'); }), stub('ok', async () => true)],
+    });
+    assert.deepEqual(results.map(r => r.available), [null, true]);
+  });
+
+  test('a provider that never answers times out as unknown', async () => {
+    const started = Date.now();
+    const results = await checkHandles('threadwise', {
+      cache:     false,
+      timeout:   50,
+      providers: [stub('stuck', () => new Promise(() => {})), stub('ok', async () => false)],
+    });
+    assert.deepEqual(results.map(r => r.available), [null, false]);
+    assert.ok(Date.now() - started < 1000);
+  });
+});
+
+describe('screenTrademarks with a stub dataset', () => {
+  const dataset = [
+    '# test register',
+    'Spotify',
+    'Stripe,Stripe Inc.',
+    'Uber',
+    'Salesforce',
+    'HP',          // under 3 characters — ignored
+  ];
+
+  test('exact match, ignoring case and punctuation', async () => {
+    const { conflicts } = await screenTrademarks('S-tripe', { dataset });
+    assert.deepEqual(conflicts, [{ mark: 'Stripe', match: 'exact', distance: 0 }]);
+  });
+
+  test('one edit away is a fuzzy match for mid-length names', async () => {
+    const { conflicts } = await screenTrademarks('spotifi', { dataset });
+    assert.deepEqual(conflicts, [{ mark: 'Spotify', match: 'fuzzy', distance: 1 }]);
+  });
+
+  test('long names allow two edits', async () => {
+    const { conflicts } = await screenTrademarks('salezforse', { dataset });
+    assert.deepEqual(conflicts, [{ mark: 'Salesforce', match: 'fuzzy', distance: 2 }]);
+  });
+
+  test('short names only collide exactly', async () => {
+    assert.deepEqual((await screenTrademarks('ubar', { dataset })).conflicts, []);
+    assert.equal((await screenTrademarks('uber', { dataset })).conflicts[0].match, 'exact');
+    assert.deepEqual((await screenTrademarks('hp', { dataset })).conflicts, []);
+  });
+
+  test('unrelated names are clear', async () => {
+    assert.deepEqual((await screenTrademarks('threadwise', { dataset })).conflicts, []);
+  });
+
+  test('conflicts are closest first and capped at three', async () => {
+    const { conflicts } = await screenTrademarks('brandly', { dataset: ['brandlx', 'brandly', 'brandla', 'brandlz', 'brandle'] });
+    assert.equal(conflicts.length, 3);
+    assert.equal(conflicts[0].match, 'exact');
+  });
+});
@@ -0,0 +1,119 @@
+import assert from 'node:assert/strict';
+import { after, beforeEach, describe, test } from 'node:test';
+import { fakeClerk } from './helpers/clerk.js';
+import { installFakeRedis } from './helpers/fake-redis.js';
+import { fakeRequest, fakeResponse } from './helpers/http.js';
+import {
+  MAX_ITEMS, addItem, addMember, createShortlist, deleteShortlist, getShortlist, removeItem, saveShortlist, setNote, setVote,
+} from '../api/_lib/shortlists.js';
+import shortlists from '../api/shortlists.js';
+
+const clerk = fakeClerk({ user_a: { email: 'a@acme.test' }, user_b: { email: 'b@acme.test' } });
+const redis = installFakeRedis({ fallback: clerk.fetch });
+after(() => redis.restore());
+beforeEach(() => redis.clear());
+
+const item = (domain, extra = {}) => ({
+  domain, name: domain.split('.')[0], tld: domain.slice(domain.indexOf('.')), style: null,
+  rationale: '', addedBy: 'user_a', addedAt: new Date().toISOString(), ...extra,
+});
+
+describe('shortlist items', () => {
+  test('concurrent votes and notes from teammates all land', async () => {
+    const list = await createShortlist('user_a', 'Launch');
+    await addItem(list, item('threadwise.io'));
+
+    // Both teammates act on the same stale read
+    const [seenByA, seenByB] = await Promise.all([getShortlist(list.id), getShortlist(list.id)]);
+    await Promise.all([
+      setVote(seenByA, 'threadwise.io', 'user_a', 1),
+      setVote(seenByB, 'threadwise.io', 'user_b', -1),
+      setNote(seenByB, 'threadwise.io', 'Check the .com too'),
+      addItem(seenByA, item('loomly.co')),
+    ]);
+
+    const fresh = await getShortlist(list.id);
+    assert.deepEqual(fresh.items.map(i => i.domain), ['threadwise.io', 'loomly.co']);
+    assert.deepEqual(fresh.items[0].votes, { user_a: 1, user_b: -1 });
+    assert.equal(fresh.items[0].note, 'Check the .com too');
+  });
+
+  test('a rename does not drop item changes made since the read', async () => {
+    const list = await createShortlist('user_a', 'Launch');
+    const stale = await getShortlist(list.id);
+    await addItem(list, item('threadwise.io'));
+    stale.name = 'Renamed';
+    await saveShortlist(stale);
+
+    const fresh = await getShortlist(list.id);
+    assert.equal(fresh.name, 'Renamed');
+    assert.equal(fresh.items.length, 1);
+  });
+
+  test('withdrawing a vote and clearing a note', async () => {
+    const list = await createShortlist('user_a', 'Launch');
+    await addItem(list, item('threadwise.io', { note: 'first pick' }));
+    await setVote(list, 'threadwise.io', 'user_a', 1);
+    await setVote(list, 'threadwise.io', 'user_a', 0);
+    await setNote(list, 'threadwise.io', '');
+
+    const [entry] = (await getShortlist(list.id)).items;
+    assert.deepEqual(entry.votes, {});
+    assert.equal(entry.note, '');
+  });
+
+  test('adding twice keeps the first item; a full list refuses more', async () => {
+    const list = await createShortlist('user_a', 'Launch');
+    assert.equal(await addItem(list, item('threadwise.io', { rationale: 'first' })), 'added');
+    assert.equal(await addItem(list, item('threadwise.io', { rationale: 'second' })), 'listed');
+    for (let i = 1; i < MAX_ITEMS; i++) await addItem(list, item(`name${i}.io`));
+    assert.equal(await addItem(list, item('onetoomany.io')), 'full');
+
+    const fresh = await getShortlist(list.id);
+    assert.equal(fresh.items.length, MAX_ITEMS);
+    assert.equal(fresh.items[0].rationale, 'first');
+  });
+
+  test('removing an item drops its note and votes', async () => {
+    const list = await createShortlist('user_a', 'Launch');
+    await addItem(list, item('threadwise.io', { note: 'maybe' }));
+    await setVote(list, 'threadwise.io', 'user_b', 1);
+    assert.equal(await removeItem(list, 'threadwise.io'), true);
+    await addItem(list, item('threadwise.io'));
+
+    const [entry] = (await getShortlist(list.id)).items;
+    assert.equal(entry.note, '');
+    assert.deepEqual(entry.votes, {});
+  });
+
+  test('deleting a list removes its item hashes', async () => {
+    const list = await createShortlist('user_a', 'Launch');
+    await addItem(list, item('threadwise.io', { note: 'x' }));
+    await setVote(list, 'threadwise.io', 'user_a', 1);
+    await deleteShortlist(await getShortlist(list.id));
+    assert.deepEqual([...redis.store.keys()].filter(k => k.startsWith(`shortlist:${list.id}`)), []);
+  });
+});
+
+describe('leaving a shortlist', () => {
+  const removeMember = (userId, list, memberId) => {
+    const res = fakeResponse();
+    return shortlists(fakeRequest({
+      headers: { authorization: clerk.bearer(userId) },
+      body:    { action: 'removeMember', id: list.id, userId: memberId },
+    }), res).then(() => res);
+  };
+
+  test('a member can leave', async () => {
+    const list = await addMember(await createShortlist('user_a', 'Launch'), 'user_b', 'b@acme.test');
+    assert.equal((await removeMember('user_b', list, 'user_b')).statusCode, 200);
+    assert.deepEqual((await getShortlist(list.id)).members, []);
+  });
+
+  test('the owner cannot leave their own list', async () => {
+    const list = await addMember(await createShortlist('user_a', 'Launch'), 'user_b', 'b@acme.test');
+    assert.equal((await removeMember('user_a', list, 'user_a')).statusCode, 400);
+    assert.equal((await removeMember('user_b', list, 'user_a')).statusCode, 400);
+    assert.deepEqual(redis.command('SMEMBERS', 'shortlists:user_a'), [list.id]);
+  });
+});
@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { after, beforeEach, describe, test } from 'node:test';
+import { GRACE_DAYS, claimEvent, finishEvent, planForStatus, releaseEvent, verifyStripeSignature } from '../api/_lib/billing.js';
+import graceCron from '../api/cron/billing-grace.js';
+import webhook from '../api/stripe-webhook.js';
+import { installFakeRedis } from './helpers/fake-redis.js';
+import { fakeResponse } from './helpers/http.js';
+
+const SECRET = 'whsec_test_fixture_secret';
+const DAY    = 86_400_000;
+
+// Clerk metadata PATCHes the webhook and cron send, as [userId, body]
+let clerkCalls = [];
+const redis = installFakeRedis({
+  fallback: async (url, opts) => {
+    const m = String(url).match(/^https:\/\/api\.clerk\.com\/v1\/users\/([^/]+)\/metadata$/);
+    if (!m) throw new TypeError(`unexpected fetch: ${url}`);
+    clerkCalls.push([decodeURIComponent(m[1]), JSON.parse(opts.body)]);
+    return new Response('{}');
+  },
+});
+process.env.STRIPE_WEBHOOK_SECRET = SECRET;
+process.env.CRON_SECRET           = 'cron_test_secret';
+after(() => redis.restore());
+beforeEach(() => { redis.clear(); clerkCalls = []; });
+
+const fixture = name => readFileSync(new URL(`./fixtures/stripe/${name}.json`, import.meta.url), 'utf8');
+
+// Sign a payload the way Stripe does: v1 = HMAC-SHA256(secret, "{t}.{payload}")
+function sign(payload, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  return `t=${timestamp},v1=${createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+}
+
+async function deliver(payload, signature = sign(payload)) {
+  const req = Object.assign(Readable.from([Buffer.from(payload)]), {
+    method:  'POST',
+    headers: { 'stripe-signature': signature },
+  });
+  const res = fakeResponse();
+  await webhook(req, res);
+  return res;
+}
+
+describe('verifyStripeSignature', () => {
+  const payload = fixture('checkout.session.completed');
+  const now     = Date.now();
+
+  test('accepts a valid signature', () => {
+    assert.equal(verifyStripeSignature(payload, sign(payload), SECRET, { now }), true);
+  });
+
+  test('rejects a tampered body', () => {
+    assert.equal(verifyStripeSignature(payload.replace('"pro"', '"team"'), sign(payload), SECRET, { now }), false);
+  });
+
+  test('rejects a signature from another secret', () => {
+    assert.equal(verifyStripeSignature(payload, sign(payload, { secret: 'whsec_other' }), SECRET, { now }), false);
+  });
+
+  test('rejects timestamps outside the 300s tolerance, either way', () => {
+    const t = Math.floor(now / 1000);
+    assert.equal(verifyStripeSignature(payload, sign(payload, { timestamp: t - 299 }), SECRET, { now }), true);
+    assert.equal(verifyStripeSignature(payload, sign(payload, { timestamp: t - 301 }), SECRET, { now }), false);
+    assert.equal(verifyStripeSignature(payload, sign(payload, { timestamp: t + 301 }), SECRET, { now }), false);
+  });
+
+  test('accepts any matching v1 entry while a secret is rolled', () => {
+    const t      = Math.floor(now / 1000);
+    const stale  = sign(payload, { secret: 'whsec_old', timestamp: t }).split(',')[1];
+    const header = `t=${t},${stale},${sign(payload, { timestamp: t }).split(',')[1]},v0=deadbeef`;
+    assert.equal(verifyStripeSignature(payload, header, SECRET, { now }), true);
+  });
+
+  test('rejects malformed headers', () => {
+    for (const header of [undefined, '', 'v1=abc', `t=${Math.floor(now / 1000)}`, 't=abc,v1=00', `t=${Math.floor(now / 1000)},v1=zz`]) {
+      assert.equal(verifyStripeSignature(payload, header, SECRET, { now }), false, String(header));
+    }
+  });
+});
+
+describe('claimEvent', () => {
+  test('claims once, reports processing, then done', async () => {
+    assert.equal(await claimEvent('evt_1'), 'new');
+    assert.equal(await claimEvent('evt_1'), 'processing');
+    await finishEvent('evt_1');
+    assert.equal(await claimEvent('evt_1'), 'done');
+  });
+
+  test('a released claim can be taken again', async () => {
+    assert.equal(await claimEvent('evt_2'), 'new');
+    await releaseEvent('evt_2');
+    assert.equal(await claimEvent('evt_2'), 'new');
+  });
+});
+
+describe('planForStatus', () => {
+  const now = Date.now();
+
+  test('paid, free and unchanged statuses', () => {
+    assert.equal(planForStatus('active', 'pro'), 'pro');
+    assert.equal(planForStatus('trialing', 'pro'), 'pro');
+    assert.equal(planForStatus('canceled', 'pro'), 'free');
+    assert.equal(planForStatus('unpaid', 'pro'), 'free');
+    assert.equal(planForStatus('incomplete', 'pro'), null);
+  });
+
+  test('past_due keeps the paid plan until the grace deadline', () => {
+    assert.equal(planForStatus('past_due', 'pro', now + DAY, now), 'pro');
+    assert.equal(planForStatus('past_due', 'pro', now - 1, now), 'free');
+    assert.equal(planForStatus('past_due', 'pro', null, now), 'free');
+  });
+});
+
+describe('stripe-webhook', () => {
+  test('rejects a bad signature before touching anything', async () => {
+    const payload = fixture('checkout.session.completed');
+    const res     = await deliver(payload, sign(payload, { secret: 'whsec_other' }));
+    assert.equal(res.statusCode, 400);
+    assert.equal(clerkCalls.length, 0);
+  });
+
+  test('checkout.session.completed upgrades the user and links the customer', async () => {
+    const res = await deliver(fixture('checkout.session.completed'));
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(clerkCalls, [['user_2abc', {
+      public_metadata:  { plan: 'pro' },
+      private_metadata: { stripeCustomerId: 'cus_Q1a2b3', stripeSubscriptionId: 'sub_1Q9z8y' },
+    }]]);
+    assert.equal(redis.command('GET', 'stripe:customer:cus_Q1a2b3'), 'user_2abc');
+  });
+
+  test('a repeated event id is applied once', async () => {
+    const payload = fixture('checkout.session.completed');
+    await deliver(payload);
+    const again = await deliver(payload);
+    assert.equal(again.statusCode, 200);
+    assert.equal(again.body.duplicate, true);
+    assert.equal(clerkCalls.length, 1);
+  });
+
+  test('invoice.payment_failed starts the grace period and keeps the plan', async () => {
+    const before = Date.now();
+    const res    = await deliver(fixture('invoice.payment_failed'));
+    assert.equal(res.statusCode, 200);
+
+    const [[userId, body]] = clerkCalls;
+    assert.equal(userId, 'user_2abc');
+    assert.equal(body.public_metadata.plan, undefined);
+    assert.equal(body.public_metadata.billing.status, 'past_due');
+    const graceUntil = Date.parse(body.public_metadata.billing.graceUntil);
+    assert.ok(graceUntil >= before + GRACE_DAYS * DAY && graceUntil <= Date.now() + GRACE_DAYS * DAY);
+  });
+
+  test('past_due → grace → free once the cron finds the deadline passed', async () => {
+    await deliver(fixture('customer.subscription.updated.past_due'));
+    assert.equal(clerkCalls[0][1].public_metadata.plan, 'pro');
+
+    // Nothing to downgrade while the grace period runs
+    const cron = () => {
+      const res = fakeResponse();
+      return graceCron({ headers: { authorization: 'Bearer cron_test_secret' } }, res).then(() => res);
+    };
+    assert.deepEqual((await cron()).body, { downgraded: 0 });
+
+    // The deadline passes
+    const expired = Date.now() - 1000;
+    redis.command('SET', 'billing:grace:user_2abc', expired);
+    redis.command('ZADD', 'billing:grace', expired, 'user_2abc');
+    assert.equal(planForStatus('past_due', 'pro', expired), 'free');
+
+    clerkCalls = [];
+    assert.deepEqual((await cron()).body, { downgraded: 1 });
+    assert.deepEqual(clerkCalls, [['user_2abc', {
+      public_metadata: { plan: 'free', billing: { status: 'past_due', graceUntil: new Date(expired).toISOString() } },
+    }]]);
+    assert.deepEqual((await cron()).body, { downgraded: 0 });
+
+    // A later failure doesn't restart the grace period
+    clerkCalls = [];
+    await deliver(fixture('invoice.payment_failed'));
+    assert.equal(clerkCalls[0][1].public_metadata.plan, 'free');
+  });
+
+  test('the cron refuses callers without the secret', async () => {
+    const res = fakeResponse();
+    await graceCron({ headers: {} }, res);
+    assert.equal(res.statusCode, 401);
+  });
+});
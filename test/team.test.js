@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { after, beforeEach, describe, test } from 'node:test';
+import { resolveAccount } from '../api/_lib/accounts.js';
+import { createApiKey } from '../api/_lib/apikeys.js';
+import { PLANS } from '../api/_lib/plans.js';
+import { getCredits } from '../api/_lib/usage.js';
+import suggest from '../api/suggest.js';
+import team from '../api/team.js';
+import { fakeClerk } from './helpers/clerk.js';
+import { installFakeRedis } from './helpers/fake-redis.js';
+import { fakeRequest, fakeResponse } from './helpers/http.js';
+
+const clerk = fakeClerk({
+  owner: { email: 'owner@acme.test', plan: 'team' },
+  alice: { email: 'alice@acme.test', plan: 'free' },
+  bob:   { email: 'bob@acme.test',   plan: 'free' },
+  paula: { email: 'paula@acme.test', plan: 'pro' },
+});
+// The credit debit is a Lua script: count it like DEBIT_SCRIPT does with
+// credit to spare; other scripts (rate limits) fail open as in an outage
+const redis = installFakeRedis({
+  fallback:   clerk.fetch,
+  evalScript: ([key]) => {
+    if (!key.startsWith('usage:')) throw new Error('ERR script not supported');
+    redis.command('INCR', key);
+    return 1;
+  },
+});
+after(() => redis.restore());
+beforeEach(() => {
+  redis.clear();
+  clerk.users.bob.plan = 'free';
+});
+
+async function call(userId, method, { body, query } = {}) {
+  const res = fakeResponse();
+  await team(fakeRequest({ method, headers: { authorization: clerk.bearer(userId) }, body, query }), res);
+  return res;
+}
+
+const invite = (email)            => call('owner', 'POST', { body: { email } });
+const answer = (userId, action, teamId) => call(userId, 'POST', { body: { action, teamId } });
+
+describe('team invites', () => {
+  test('an invite holds a seat but charges nothing to the team until accepted', async () => {
+    const res = await invite('alice@acme.test');
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.team.members, []);
+    assert.deepEqual(res.body.team.invites, [{ userId: 'alice', email: 'alice@acme.test' }]);
+    assert.equal((await resolveAccount('alice', 'free')).accountId, 'alice');
+
+    const pending = (await call('alice', 'GET')).body;
+    assert.equal(pending.team, null);
+    assert.deepEqual(pending.invites, [{ teamId: res.body.team.id, name: 'My team', invitedBy: 'owner@acme.test' }]);
+  });
+
+  test('accepting joins the shared pool; leaving goes back to your own plan', async () => {
+    const { team: t } = (await invite('alice@acme.test')).body;
+    const joined = await answer('alice', 'accept', t.id);
+    assert.equal(joined.statusCode, 200);
+    assert.equal(joined.body.team.role, 'member');
+    assert.equal((await resolveAccount('alice', 'free')).accountId, `team:${t.id}`);
+    assert.deepEqual((await call('alice', 'GET')).body.invites, []);
+
+    const left = await call('alice', 'DELETE');
+    assert.equal(left.statusCode, 200);
+    assert.equal(left.body.team, null);
+    assert.equal((await resolveAccount('alice', 'free')).accountId, 'alice');
+  });
+
+  test('declining drops the invite and frees the seat', async () => {
+    const { team: t } = (await invite('bob@acme.test')).body;
+    assert.equal((await answer('bob', 'decline', t.id)).statusCode, 200);
+    assert.deepEqual((await call('owner', 'GET')).body.team.invites, []);
+    assert.equal((await answer('bob', 'accept', t.id)).statusCode, 404);
+  });
+
+  test('the owner can withdraw an invite', async () => {
+    const { team: t } = (await invite('bob@acme.test')).body;
+    const res = await call('owner', 'DELETE', { query: { userId: 'bob' } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.team.invites, []);
+    assert.equal((await answer('bob', 'accept', t.id)).statusCode, 404);
+  });
+
+  test('users paying for their own plan cannot be invited', async () => {
+    const res = await invite('paula@acme.test');
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.error, /own Pro plan/);
+  });
+
+  test('users who started paying since the invite cannot accept it', async () => {
+    const { team: t } = (await invite('bob@acme.test')).body;
+    clerk.users.bob.plan = 'pro';
+    const res = await answer('bob', 'accept', t.id);
+    assert.equal(res.statusCode, 409);
+    assert.equal((await resolveAccount('bob', 'pro')).accountId, 'bob');
+  });
+
+  test('only invited users can accept', async () => {
+    const { team: t } = (await invite('alice@acme.test')).body;
+    assert.equal((await answer('bob', 'accept', t.id)).statusCode, 404);
+  });
+});
+
+describe('resolveAccount', () => {
+  test('a member with a paid plan of their own is charged to it', async () => {
+    const { team: t } = (await invite('alice@acme.test')).body;
+    await answer('alice', 'accept', t.id);
+    // alice upgrades after joining
+    const account = await resolveAccount('alice', 'pro');
+    assert.equal(account.accountId, 'alice');
+    assert.equal(account.plan, 'pro');
+    assert.equal(account.team, null);
+  });
+});
+
+describe('suggest with a team member\'s API key', () => {
+  test('the run is charged to the team pool, not a ledger of its own', async ctx => {
+    process.env.LLM_PROVIDER    = 'mock';
+    process.env.LLM_MOCK_SCRIPT = '[]';
+    ctx.after(() => { delete process.env.LLM_PROVIDER; delete process.env.LLM_MOCK_SCRIPT; });
+
+    const { team: t } = (await invite('alice@acme.test')).body;
+    await answer('alice', 'accept', t.id);
+    const { key } = await createApiKey('alice', 'script');
+
+    const res = fakeResponse();
+    await suggest(fakeRequest({ headers: { 'x-api-key': key }, body: { description: 'A note-taking app', stream: false } }), res);
+    assert.equal(res.statusCode, 200);
+
+    assert.equal((await getCredits(`team:${t.id}`, PLANS.team)).used, 1);
+    assert.equal((await getCredits('alice', PLANS.team)).used, 0);
+  });
+});
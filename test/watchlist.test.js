@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { isPrivateAddress, postWebhook, publicLookup, webhookUrlError } from '../api/_lib/watchlist.js';
+
+// Fake resolver: host → addresses
+function resolver(table) {
+  return async host => {
+    if (!table[host]) throw Object.assign(new Error('ENOTFOUND'), { code: 'ENOTFOUND' });
+    return table[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  };
+}
+
+describe('isPrivateAddress', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1',
+    '::ffff:127.0.0.1', '::ffff:7f00:1']) {
+    test(`${ip} is private`, () => assert.equal(isPrivateAddress(ip), true));
+  }
+
+  for (const ip of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '2606:2800:220:1::1']) {
+    test(`${ip} is public`, () => assert.equal(isPrivateAddress(ip), false));
+  }
+});
+
+describe('webhookUrlError', () => {
+  const lookup = resolver({
+    'hooks.example.com':    ['93.184.216.34'],
+    'internal.example.com': ['10.0.0.5'],
+    'mixed.example.com':    ['93.184.216.34', '169.254.169.254'],
+  });
+
+  test('a public https host is allowed', async () => {
+    assert.equal(await webhookUrlError('https://hooks.example.com/domain-ate', { lookup }), null);
+  });
+
+  test('non-https and malformed URLs are rejected', async () => {
+    assert.match(await webhookUrlError('http://hooks.example.com/', { lookup }), /https/);
+    assert.match(await webhookUrlError('not a url', { lookup }), /https/);
+  });
+
+  test('IP literals are rejected, in any notation', async () => {
+    for (const url of ['https://127.0.0.1/', 'https://[::1]/', 'https://2130706433/', 'https://93.184.216.34/']) {
+      assert.match(await webhookUrlError(url, { lookup }), /IP address/, url);
+    }
+  });
+
+  test('local host names are rejected without a lookup', async () => {
+    for (const url of ['https://localhost/', 'https://app.localhost/', 'https://printer.local/', 'https://metadata/']) {
+      assert.match(await webhookUrlError(url, { lookup }), /public host/, url);
+    }
+  });
+
+  test('names resolving to private addresses are rejected', async () => {
+    assert.match(await webhookUrlError('https://internal.example.com/', { lookup }), /public host/);
+    assert.match(await webhookUrlError('https://mixed.example.com/', { lookup }), /public host/);
+  });
+
+  test('names that do not resolve are rejected', async () => {
+    assert.match(await webhookUrlError('https://nowhere.example.com/', { lookup }), /does not resolve/);
+  });
+
+  test('credentials in the URL are rejected', async () => {
+    assert.match(await webhookUrlError('https://user:pw@hooks.example.com/', { lookup }), /credentials/);
+  });
+});
+
+// Callback-style resolver (dns.lookup) that answers `address` for any host
+function resolveTo(address) {
+  return (host, options, callback) => {
+    const family = address.includes(':') ? 6 : 4;
+    if (options?.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+}
+
+describe('webhook delivery', () => {
+  const lookupAsync = (resolve, host, options) => new Promise((done, fail) => {
+    publicLookup(resolve)(host, options, (err, address) => err ? fail(err) : done(address));
+  });
+
+  test('the socket lookup passes public addresses through', async () => {
+    assert.equal(await lookupAsync(resolveTo('93.184.216.34'), 'hooks.example.com', {}), '93.184.216.34');
+    assert.deepEqual(await lookupAsync(resolveTo('93.184.216.34'), 'hooks.example.com', { all: true }), [{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  test('the socket lookup refuses private addresses', async () => {
+    for (const options of [{}, { all: true }]) {
+      await assert.rejects(lookupAsync(resolveTo('169.254.169.254'), 'hooks.example.com', options), { code: 'EPRIVATEADDR' });
+    }
+  });
+
+  test('a host rebound to an internal address after the check is not reached', async () => {
+    const url = 'https://rebind.example.com/hook';
+    assert.equal(await webhookUrlError(url, { lookup: resolver({ 'rebind.example.com': ['93.184.216.34'] }) }), null);
+    await assert.rejects(postWebhook(url, { type: 'test' }, { resolve: resolveTo('127.0.0.1') }), { code: 'EPRIVATEADDR' });
+  });
+});
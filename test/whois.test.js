@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { after, before, describe, test } from 'node:test';
+import { parseWhoisResponse, whoisCheck } from '../api/_lib/whois.js';
+
+// ── Fake WHOIS server ────────────────────────────────────────────────────────
+// Replies by the queried domain's first label: "free…" gets a no-match reply,
+// "busy…" a throttling notice, "silent…" nothing at all; anything else a record.
+
+const REPLIES = {
+  free: 'No match for "FREE.COM".\r\n>>> Last update of whois database <<<\r\n',
+  busy: 'WHOIS LIMIT EXCEEDED - SEE WWW.EXAMPLE.COM/WHOIS\r\n',
+};
+const RECORD = 'Domain Name: TAKEN.COM\r\nRegistrar: Example Registrar, Inc.\r\nCreation Date: 1997-09-15T04:00:00Z\r\n';
+
+let server;
+let port;
+const sockets = new Set();
+
+before(async () => {
+  server = createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('data', chunk => {
+      const query = chunk.toString().trim();
+      const kind  = Object.keys(REPLIES).find(k => query.startsWith(k));
+      if (query.startsWith('silent')) return;
+      socket.end(kind ? REPLIES[kind] : RECORD);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  for (const socket of sockets) socket.destroy();
+  server.close();
+});
+
+describe('whoisCheck against a local server', () => {
+  const opts = () => ({ server: '127.0.0.1', port, timeout: 300 });
+
+  test('no-match reply is available', async () => {
+    assert.equal(await whoisCheck('free.com', opts()), true);
+  });
+
+  test('a record is taken', async () => {
+    assert.equal(await whoisCheck('taken.com', opts()), false);
+  });
+
+  test('a throttling reply is unknown', async () => {
+    assert.equal(await whoisCheck('busy.com', opts()), null);
+  });
+
+  test('a server that never answers times out as unknown', async () => {
+    assert.equal(await whoisCheck('silent.com', opts()), null);
+  });
+
+  test('the per-TLD pattern wins over the generic ones', async () => {
+    // .de only counts "Status: free"; the record-like reply is taken
+    assert.equal(await whoisCheck('taken.de', opts()), false);
+  });
+});
+
+describe('parseWhoisResponse', () => {
+  const noMatch = [
+    'No match for "EXAMPLE.COM".',
+    'NOT FOUND',
+    'No Data Found',
+    'No entries found for the selected source(s).',
+    'Status: AVAILABLE',
+    'Status: free',
+    'Domain example.xyz is available for registration',
+    'Domain not found.',
+  ];
+
+  for (const text of noMatch) {
+    test(`generic no-match: ${text}`, () => {
+      assert.equal(parseWhoisResponse(text), true);
+    });
+  }
+
+  test('a record is taken', () => {
+    assert.equal(parseWhoisResponse(RECORD), false);
+  });
+
+  test('throttling and empty replies are unknown', () => {
+    assert.equal(parseWhoisResponse('Query rate limit exceeded'), null);
+    assert.equal(parseWhoisResponse('Too many queries, try again later'), null);
+    assert.equal(parseWhoisResponse('   \r\n'), null);
+    assert.equal(parseWhoisResponse(''), null);
+  });
+
+  test('unrecognised text is unknown', () => {
+    assert.equal(parseWhoisResponse('% Welcome to the example registry'), null);
+  });
+
+  test('an explicit pattern replaces the generic ones', () => {
+    const entry = { available: /Status:\s*free/i };
+    assert.equal(parseWhoisResponse('Domain: x.de\nStatus: free', entry), true);
+    // Generic "NOT FOUND" doesn't count for a server with its own pattern
+    assert.equal(parseWhoisResponse('Domain: x.de\nNOT FOUND', entry), false);
+  });
+});